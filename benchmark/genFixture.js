@@ -0,0 +1,89 @@
+// Word lists used to generate names
+const FIRST_NAMES = [
+  'Ada', 'Ben', 'Carla', 'Dmitri', 'Elena', 'Farah', 'Gus', 'Hana', 'Ivan',
+  'Jia', 'Kofi', 'Lena', 'Mateo', 'Nia', 'Omar', 'Priya', 'Quinn', 'Rosa',
+  'Sven', 'Tara', 'Umar', 'Vera', 'Wen', 'Ximena', 'Yusuf', 'Zoe',
+];
+const LAST_NAMES = [
+  'Abara', 'Bianchi', 'Chen', 'Dubois', 'Eriksen', 'Fischer', 'Garcia',
+  'Haddad', 'Ito', 'Jensen', 'Kowalski', 'Lopez', 'Moreau', 'Nakamura',
+  'Okafor', 'Petrov', 'Quispe', 'Rossi', 'Silva', 'Tanaka', 'Ueda', 'Varga',
+  'Weber', 'Xu', 'Yilmaz', 'Zhang', 'Novak', 'Popescu', 'Kim', 'Singh',
+];
+
+/**
+ * Creates a seeded pseudo-random number generator so fixtures are the same
+ *   every run
+ * @param {number} seed - the seed
+ * @return {function} a function that returns a number in [0, 1)
+ */
+const genRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+/**
+ * Generates a large, messy roster and CSV for benchmarking
+ * @param {object} [opts={}] - fixture options
+ * @param {number} [opts.numStudents=1500] - the number of students
+ * @param {number} [opts.numRows=5000] - the number of CSV rows
+ * @param {number} [opts.messiness=0.15] - the fraction of rows that have
+ *   corrupted identifiers
+ * @return {object} the fixture in the form { students, csv }
+ */
+module.exports = (opts = {}) => {
+  const numStudents = opts.numStudents || 1500;
+  const numRows = opts.numRows || 5000;
+  const messiness = (opts.messiness !== undefined ? opts.messiness : 0.15);
+  const random = genRandom(42);
+  const pick = (list) => {
+    return list[Math.floor(random() * list.length)];
+  };
+
+  // Create students
+  const students = [];
+  for (let i = 0; i < numStudents; i++) {
+    const firstName = pick(FIRST_NAMES);
+    const lastName = pick(LAST_NAMES);
+    students.push({
+      id: 100000 + i,
+      name: `${firstName} ${lastName}`,
+      sortable_name: `${lastName}, ${firstName}`,
+      sis_user_id: String(20000000 + i),
+      login_id: `${firstName}${lastName}${i}`.toLowerCase(),
+      email: `${firstName}.${lastName}.${i}@college.edu`.toLowerCase(),
+    });
+  }
+
+  // Create rows
+  const rows = [];
+  for (let i = 0; i < numRows; i++) {
+    const student = students[Math.floor(random() * numStudents)];
+    let { email } = student;
+    let huid = student.sis_user_id;
+    if (random() < messiness) {
+      // Corrupt the identifiers so the row can't be matched exactly
+      email = `${email.split('@')[0]}x@gmail.com`;
+      huid = `${huid}9`;
+    }
+    rows.push([
+      student.name,
+      email,
+      huid,
+      `Section ${Math.floor(random() * 20) + 1}`,
+      String(Math.floor(random() * 100)),
+      pick(['great work', 'see me', 'late', '', 'resubmitted']),
+    ]);
+  }
+
+  return {
+    students,
+    csv: {
+      headers: ['Name', 'Email', 'HUID', 'Section', 'Grade', 'Comment'],
+      rows,
+    },
+  };
+};
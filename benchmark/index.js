@@ -0,0 +1,168 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+
+const matchCSV = require('..');
+const genSearchFunctions = require('../genSearchFunctions');
+const preProcessUsers = require('../preProcess/users');
+const genNormalize = require('../helpers/genNormalize');
+const propNameMap = require('../helpers/propNameMap');
+const tokenize = require('../helpers/tokenize');
+const genFixture = require('./genFixture');
+
+const { ID_PROPS, ID_WEIGHT_MULTIPLIER } = require('../constants');
+
+/**
+ * Creates a bag of words for each user
+ * @param {object[]} users - the simplified users
+ * @return {Map[]} the bag of words of each user in the form
+ *   word => list of props
+ */
+const genBagsOfWords = (users) => {
+  return users.map((user) => {
+    const bagOfWords = new Map([]);
+    Object.keys(user).forEach((prop) => {
+      if (user[prop] === undefined || user[prop] === null) {
+        return;
+      }
+      tokenize(user[prop]).forEach((word) => {
+        if (!bagOfWords.has(word)) {
+          bagOfWords.set(word, []);
+        }
+        bagOfWords.get(word).push(prop);
+      });
+    });
+    return bagOfWords;
+  });
+};
+
+/**
+ * Calculates confidence ratings by scoring every user against the row (the
+ *   approach used before the inverted index, kept here for comparison)
+ * @param {object} opts - object containing all arguments
+ * @param {object[]} opts.users - the simplified users
+ * @param {Map[]} opts.bagsOfWords - the bag of words of each user
+ * @param {function} opts.normalize - the normalize function
+ * @param {string[]} opts.row - the CSV row
+ * @return {object[]} confidence rating array of form { confidence, user }
+ */
+const getConfidenceRatingsByScanning = (opts) => {
+  const {
+    users,
+    bagsOfWords,
+    normalize,
+    row,
+  } = opts;
+  const wordInRow = {};
+  row.forEach((cell) => {
+    const words = tokenize(cell);
+    Object.keys(propNameMap).forEach((prop) => {
+      words.push(...tokenize(normalize(prop, cell)));
+    });
+    words.forEach((word) => {
+      wordInRow[word] = true;
+    });
+  });
+
+  // Count the number of users with each word
+  const wordToNumUsers = {};
+  bagsOfWords.forEach((bagOfWords) => {
+    bagOfWords.forEach((_, word) => {
+      wordToNumUsers[word] = (wordToNumUsers[word] || 0) + 1;
+    });
+  });
+
+  const confidenceRatings = users.map((user, userIndex) => {
+    let matchingWeight = 0;
+    let totalWeight = 0;
+    bagsOfWords[userIndex].forEach((props, word) => {
+      const isId = props.some((prop) => {
+        return ID_PROPS.includes(prop);
+      });
+      const weight = (
+        Math.log((users.length + 1) / wordToNumUsers[word])
+        * (isId ? ID_WEIGHT_MULTIPLIER : 1)
+      );
+      totalWeight += weight;
+      if (wordInRow[word]) {
+        matchingWeight += weight;
+      }
+    });
+    return {
+      user,
+      confidence: Math.round((matchingWeight / totalWeight) * 100),
+    };
+  });
+  confidenceRatings.sort((a, b) => {
+    return b.confidence - a.confidence;
+  });
+  return confidenceRatings;
+};
+
+/**
+ * Runs a function and returns how long it took
+ * @param {function} func - the function to run
+ * @return {object} { result, ms }
+ */
+const time = (func) => {
+  const start = Date.now();
+  const result = func();
+  return {
+    result,
+    ms: Date.now() - start,
+  };
+};
+
+// Generate fixture
+const { students, csv } = genFixture();
+console.log(`Fixture: ${students.length} students, ${csv.rows.length} rows`);
+
+// Time a full run
+const fullRun = time(() => {
+  return matchCSV({
+    csv,
+    students,
+    maxPotentialUsers: 10,
+  });
+});
+const { matchedRows, unmatchedRows } = fullRun.result;
+console.log(`Full run (top 10 potential users): ${fullRun.ms}ms (${matchedRows.length} matched, ${unmatchedRows.length} unmatched)`);
+
+// Compare confidence ratings with and without the inverted index
+const normalize = genNormalize();
+const users = preProcessUsers(students, normalize);
+const { getConfidenceRatings } = genSearchFunctions(users, { normalize });
+const unmatchedRawRows = unmatchedRows.map(({ rawRow }) => {
+  return rawRow;
+});
+const indexed = time(() => {
+  return unmatchedRawRows.map((row) => {
+    return getConfidenceRatings(row, [], 10);
+  });
+});
+const bagsOfWords = genBagsOfWords(users);
+const scanning = time(() => {
+  return unmatchedRawRows.map((row) => {
+    const ratings = getConfidenceRatingsByScanning({
+      users,
+      bagsOfWords,
+      normalize,
+      row,
+    });
+    return ratings.slice(0, 10);
+  });
+});
+console.log(`Confidence ratings with inverted index: ${indexed.ms}ms`);
+console.log(`Confidence ratings by scanning every user: ${scanning.ms}ms`);
+
+// Make sure both approaches agree
+indexed.result.forEach((ratings, i) => {
+  assert.deepStrictEqual(
+    ratings.map(({ user, confidence }) => {
+      return [user.canvasId, confidence];
+    }),
+    scanning.result[i].map(({ user, confidence }) => {
+      return [user.canvasId, confidence];
+    })
+  );
+});
+console.log('Both approaches produced the same ratings');
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const path = require('path');
+
+const matchCSV = require('..');
+const readRoster = require('../preProcess/roster');
+
+const { ANY_NUMBER, AT_LEAST_ONE } = require('../constants');
+
+// Exit codes
+const EXIT_CODES = {
+  ALL_MATCHED: 0,
+  SOME_UNMATCHED: 1,
+  ERROR: 2,
+};
+
+const USAGE = `Usage: canvas-csv-matcher <data.csv> <roster> [options]
+
+Matches each row of <data.csv> (or an .xlsx or .ods workbook) with users in
+<roster>. The roster may be a
+Canvas users JSON dump (a list of users, or { students, teachingTeamMembers })
+or a roster CSV with one row per user (like test/files/roster.csv).
+
+Options:
+  --teaching-team-members <roster>          a separate roster of teaching team
+                                            members
+  --student-only-once                       each student can only show up once
+  --teaching-team-member-only-once          each teaching team member can only
+                                            show up once
+  --num-students-per-row <n>                a number, "any", or "at-least-one"
+  --num-teaching-team-members-per-row <n>   a number, "any", or "at-least-one"
+  --fuzzy                                   turn on fuzzy matching
+  --match-threshold <share>                 the share of nonempty cells that
+                                            must match for a column to be
+                                            detected (default: 0.6)
+  --delimiter <char>                        the delimiter between cells ("tab"
+                                            for tabs, default: auto-detect)
+  --encoding <name>                         utf-8, utf-16le, utf-16be, or
+                                            latin1 (default: auto-detect)
+  --header-row <n>                          the index of the header row
+                                            (default: auto-detect)
+  --sheet <name|n>                          the workbook sheet to read (default:
+                                            the one that matches best)
+  --repair-ragged-rows                      pad short rows and merge the extra
+                                            cells of long rows into the last
+                                            cell instead of skipping them
+  --section-column <name|n>                 the column that lists each row's
+                                            section(s) (default: auto-detect
+                                            if the roster has sections)
+  --require-section-match                   unmatch rows with users who aren't
+                                            in the row's section
+  --aliases <file>                          a JSON file of saved aliases to
+                                            check after exact lookups
+  --alias-scope <scope>                     the scope of the aliases to use
+                                            (default: global aliases only)
+  --matched-out <file>                      where to write matched rows
+                                            (default: <data>-matched.csv)
+  --unmatched-out <file>                    where to write unmatched rows
+                                            (default: <data>-unmatched.csv)
+  --help                                    show this message
+
+Exit codes: 0 if all rows matched, 1 if any rows are unmatched, 2 on error`;
+
+// Flags that don't take a value => option name
+const BOOLEAN_FLAGS = {
+  '--student-only-once': 'studentOnlyOnce',
+  '--teaching-team-member-only-once': 'teachingTeamMemberOnlyOnce',
+  '--fuzzy': 'fuzzyMatching',
+  '--repair-ragged-rows': 'repairRaggedRows',
+  '--require-section-match': 'requireSectionMatch',
+};
+
+// Flags that take a value => option name
+const VALUE_FLAGS = {
+  '--teaching-team-members': 'teachingTeamMembersFilename',
+  '--num-students-per-row': 'numStudentsPerRow',
+  '--num-teaching-team-members-per-row': 'numTeachingTeamMembersPerRow',
+  '--delimiter': 'delimiter',
+  '--encoding': 'encoding',
+  '--header-row': 'headerRow',
+  '--sheet': 'sheet',
+  '--match-threshold': 'matchThreshold',
+  '--section-column': 'sectionColumn',
+  '--aliases': 'aliasStore',
+  '--alias-scope': 'aliasScope',
+  '--matched-out': 'matchedOut',
+  '--unmatched-out': 'unmatchedOut',
+};
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} args - the arguments (without node and the script)
+ * @return {object} the parsed arguments in the form
+ *   { positional, options, showHelp }
+ */
+const parseArgs = (args) => {
+  const positional = [];
+  const options = {};
+  let showHelp = false;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      showHelp = true;
+    } else if (BOOLEAN_FLAGS[arg]) {
+      options[BOOLEAN_FLAGS[arg]] = true;
+    } else if (VALUE_FLAGS[arg]) {
+      if (i + 1 >= args.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      i += 1;
+      options[VALUE_FLAGS[arg]] = args[i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return {
+    positional,
+    options,
+    showHelp,
+  };
+};
+
+/**
+ * Turns a number per row argument into a number or keyword
+ * @param {string} flag - the flag the argument was passed with
+ * @param {string} [value] - the argument
+ * @return {number|string|undefined} the number per row
+ */
+const parseNumPerRow = (flag, value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number.parseInt(value, 10);
+  }
+  if (value !== ANY_NUMBER && value !== AT_LEAST_ONE) {
+    throw new Error(`${flag} must be a non-negative integer, "${ANY_NUMBER}", or "${AT_LEAST_ONE}" (got "${value}")`);
+  }
+  return value;
+};
+
+/**
+ * Turns a match threshold argument into a number
+ * @param {string} [value] - the argument
+ * @return {number|undefined} the match threshold
+ */
+const parseMatchThreshold = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const threshold = Number(value);
+  if (value.trim().length === 0 || !(threshold > 0 && threshold <= 1)) {
+    throw new Error(`--match-threshold must be a number greater than 0 and at most 1 (got "${value}")`);
+  }
+  return threshold;
+};
+
+/**
+ * Runs the command-line interface
+ * @return {number} the exit code
+ */
+const run = () => {
+  const { positional, options, showHelp } = parseArgs(process.argv.slice(2));
+  if (showHelp) {
+    console.log(USAGE);
+    return EXIT_CODES.ALL_MATCHED;
+  }
+  if (positional.length !== 2) {
+    console.error(USAGE);
+    return EXIT_CODES.ERROR;
+  }
+  const [dataFilename, rosterFilename] = positional;
+
+  // Check the values of options before reading any files
+  const numStudentsPerRow = parseNumPerRow(
+    '--num-students-per-row',
+    options.numStudentsPerRow
+  );
+  const numTeachingTeamMembersPerRow = parseNumPerRow(
+    '--num-teaching-team-members-per-row',
+    options.numTeachingTeamMembersPerRow
+  );
+  const matchThreshold = parseMatchThreshold(options.matchThreshold);
+
+  // Read rosters
+  const roster = readRoster(rosterFilename);
+  const { students } = roster;
+  let { teachingTeamMembers } = roster;
+  if (options.teachingTeamMembersFilename) {
+    const extraRoster = readRoster(options.teachingTeamMembersFilename);
+    teachingTeamMembers = [
+      ...teachingTeamMembers,
+      ...extraRoster.students,
+      ...extraRoster.teachingTeamMembers,
+    ];
+  }
+
+  // Run matching
+  const results = matchCSV({
+    students,
+    teachingTeamMembers,
+    numStudentsPerRow,
+    numTeachingTeamMembersPerRow,
+    matchThreshold,
+    csv: dataFilename,
+    studentOnlyOnce: options.studentOnlyOnce,
+    teachingTeamMemberOnlyOnce: options.teachingTeamMemberOnlyOnce,
+    fuzzyMatching: options.fuzzyMatching,
+    delimiter: (
+      (options.delimiter === 'tab')
+        ? '\t'
+        : options.delimiter
+    ),
+    encoding: options.encoding,
+    raggedRows: (options.repairRaggedRows ? 'repair' : 'drop'),
+    sheet: (
+      (options.sheet && /^\d+$/.test(options.sheet))
+        ? Number.parseInt(options.sheet, 10)
+        : options.sheet
+    ),
+    headerRow: (
+      (options.headerRow !== undefined)
+        ? Number.parseInt(options.headerRow, 10)
+        : undefined
+    ),
+    sectionColumn: (
+      (options.sectionColumn && /^\d+$/.test(options.sectionColumn))
+        ? Number.parseInt(options.sectionColumn, 10)
+        : options.sectionColumn
+    ),
+    requireSectionMatch: options.requireSectionMatch,
+    aliasStore: options.aliasStore,
+    aliasScope: options.aliasScope,
+  });
+
+  // Print how the file was read
+  const { csvSettings } = results;
+  if (csvSettings && csvSettings.sheet !== null) {
+    console.log(`Read sheet "${csvSettings.sheet}" of ${dataFilename}, header row ${csvSettings.headerRow}`);
+  } else if (csvSettings) {
+    const delimiterName = (
+      (csvSettings.delimiter === '\t')
+        ? 'tab'
+        : `"${csvSettings.delimiter}"`
+    );
+    console.log(`Read ${dataFilename} as ${csvSettings.encoding}${csvSettings.hasBOM ? ' (with BOM)' : ''}, delimiter ${delimiterName}, header row ${csvSettings.headerRow}`);
+  }
+
+  // Print summary of column types
+  console.log('Columns:');
+  results.csv.headers.forEach((header, colIndex) => {
+    const { type, property, isUncertain } = results.colTypes[colIndex];
+    console.log(`  ${header}: ${type}${property ? ` (${property})` : ''}${isUncertain ? ' [uncertain]' : ''}`);
+  });
+  if (results.sectionColumn) {
+    console.log(`Section column: ${results.sectionColumn.header}`);
+  }
+  console.log(`Students per row: ${results.numStudentsPerRow}`);
+  console.log(`Teaching team members per row: ${results.numTeachingTeamMembersPerRow}`);
+
+  // Print rows that were skipped or repaired while reading the file
+  results.skippedRows.forEach(({ lineNumber, reason }) => {
+    console.log(`Skipped line ${lineNumber}: ${reason}`);
+  });
+  results.repairedRows.forEach(({ lineNumber, reason }) => {
+    console.log(`Repaired line ${lineNumber}: ${reason}`);
+  });
+
+  // Print users who aren't in their row's section
+  results.matchedRows.forEach(({ lineNumber, rowIndex, sectionMismatches }) => {
+    sectionMismatches.forEach(({ user, section }) => {
+      console.log(`Section mismatch on ${lineNumber ? `line ${lineNumber}` : `row ${rowIndex}`}: ${user.name} is not in ${section}`);
+    });
+  });
+
+  // Print summary of matches
+  console.log(`Matched rows: ${results.matchedRows.length}`);
+  console.log(`Unmatched rows: ${results.unmatchedRows.length}`);
+  console.log(`Missing students: ${results.missingStudents.length}`);
+  console.log(`Missing teaching team members: ${results.missingTeachingTeamMembers.length}`);
+
+  // Write output files
+  const { dir, name } = path.parse(dataFilename);
+  const matchedOut = (
+    options.matchedOut
+    || path.join(dir, `${name}-matched.csv`)
+  );
+  const unmatchedOut = (
+    options.unmatchedOut
+    || path.join(dir, `${name}-unmatched.csv`)
+  );
+  matchCSV.exportCSV(results, {
+    filename: matchedOut,
+    unmatchedRows: 'drop',
+    includeErrors: false,
+  });
+  matchCSV.exportCSV(results, {
+    filename: unmatchedOut,
+    matchedRows: 'drop',
+  });
+  console.log(`Wrote matched rows to ${matchedOut}`);
+  console.log(`Wrote unmatched rows to ${unmatchedOut}`);
+
+  return (
+    (results.unmatchedRows.length > 0)
+      ? EXIT_CODES.SOME_UNMATCHED
+      : EXIT_CODES.ALL_MATCHED
+  );
+};
+
+try {
+  process.exitCode = run();
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = EXIT_CODES.ERROR;
+}
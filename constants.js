@@ -0,0 +1,71 @@
+// Values for the number of users per row
+const ANY_NUMBER = 'any';
+const AT_LEAST_ONE = 'at-least-one';
+const AUTO_DETECT = 'auto-detect';
+
+// Column types
+const COL_TYPES = {
+  DATA: 'data', // just data, no matchable parameters
+  STUDENT: 'student', // student information
+  TEACHING_TEAM_MEMBER: 'teaching team member', // teaching team member
+  EXCLUDED: 'excluded', // ignored entirely (only set through column hints)
+};
+
+// Where each column's type came from
+const COL_TYPE_SOURCES = {
+  PINNED: 'pinned', // the caller pinned the column with a column hint
+  DETECTED: 'detected', // we auto-detected the column
+};
+
+// Codes of the errors that keep a row from being matched
+const ERROR_CODES = {
+  DUPLICATE_USER: 'duplicate-user', // breaks a pool's "only once" rule
+  WRONG_NUMBER_OF_USERS: 'wrong-number-of-users', // breaks the number per row
+  AMBIGUOUS_CELL: 'ambiguous-cell', // a cell matches more than one user
+  CONFLICTING_CELLS: 'conflicting-cells', // cells point to different users
+  SECTION_MISMATCH: 'section-mismatch', // a user isn't in the row's section
+};
+
+// Where aliases learned from manual resolutions are saved
+const ALIAS_SCOPES = {
+  COURSE: 'course', // only used in runs with the same alias scope
+  GLOBAL: 'global', // used in every run
+};
+
+// Pools made from the student and teaching team member options => the keys
+// that hold each of their values in rows and results (so callers that don't
+// use pools can keep reading rowMatch.students, numStudentsPerRow, etc.)
+const LEGACY_POOL_KEYS = {
+  [COL_TYPES.STUDENT]: {
+    users: 'students',
+    potentials: 'potentialStudents',
+    missing: 'missingStudents',
+    numPerRow: 'numStudentsPerRow',
+    onlyOnce: 'studentOnlyOnce',
+  },
+  [COL_TYPES.TEACHING_TEAM_MEMBER]: {
+    users: 'teachingTeamMembers',
+    potentials: 'potentialTeachingTeamMembers',
+    missing: 'missingTeachingTeamMembers',
+    numPerRow: 'numTeachingTeamMembersPerRow',
+    onlyOnce: 'teachingTeamMemberOnlyOnce',
+  },
+};
+
+// Props that identify one user, so their words are worth more in confidence
+// ratings
+const ID_PROPS = ['canvasId', 'sisUserId', 'loginId', 'email'];
+const ID_WEIGHT_MULTIPLIER = 2;
+
+module.exports = {
+  ALIAS_SCOPES,
+  ANY_NUMBER,
+  AT_LEAST_ONE,
+  AUTO_DETECT,
+  COL_TYPES,
+  COL_TYPE_SOURCES,
+  ERROR_CODES,
+  ID_PROPS,
+  ID_WEIGHT_MULTIPLIER,
+  LEGACY_POOL_KEYS,
+};
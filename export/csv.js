@@ -0,0 +1,170 @@
+const fs = require('fs');
+const Papa = require('papaparse');
+
+// Ways to handle unmatched rows
+const UNMATCHED_ROW_MODES = {
+  KEEP: 'keep', // keep the row but leave the annotation columns empty
+  FLAG: 'flag', // keep the row and fill in its status and errors
+  DROP: 'drop', // remove the row
+};
+
+// Ways to handle matched rows
+const MATCHED_ROW_MODES = {
+  KEEP: 'keep', // keep the row
+  DROP: 'drop', // remove the row
+};
+
+// Headers for common Canvas user fields
+const FIELD_TO_HEADER = {
+  id: 'Canvas ID',
+  sis_user_id: 'SIS ID',
+  login_id: 'Login ID',
+  name: 'Name',
+  sortable_name: 'Sortable Name',
+  email: 'Email',
+};
+
+/**
+ * Turns a pool name into a column header label
+ *   ("teaching team member" => "Teaching Team Member")
+ * @param {string} pool - the name of the pool
+ * @return {string} the label
+ */
+const genPoolLabel = (pool) => {
+  return pool.replace(/(^|\s)(\S)/g, (_, space, letter) => {
+    return `${space}${letter.toUpperCase()}`;
+  });
+};
+
+/**
+ * Turns a results object into the original CSV with extra columns that
+ *   describe the matched users and match status of each row. Skipped rows
+ *   are left out since they don't fit the header (see skippedRows in the
+ *   results), and repaired rows are exported as they were repaired
+ * @param {object} results - the results of a matching run
+ * @param {object} [opts={}] - export options
+ * @param {string[]} [opts.fields=['id', 'sis_user_id', 'name']] - the Canvas
+ *   user fields to append for each pool of users that was matched
+ * @param {string} [opts.unmatchedRows=flag] - how to handle unmatched rows:
+ *   "keep" to keep them with empty annotation columns, "flag" to keep them
+ *   and fill in their status and errors, or "drop" to remove them
+ * @param {string} [opts.matchedRows=keep] - how to handle matched rows:
+ *   "keep" to keep them or "drop" to remove them
+ * @param {boolean} [opts.includeStatus=true] - if true, a match status column
+ *   ("matched" or "unmatched") is appended
+ * @param {boolean} [opts.includeErrors=true] - if true, a match errors column
+ *   is appended
+ * @param {string} [opts.filename] - if included, the CSV is also written to
+ *   this file
+ * @return {string} the CSV text
+ */
+module.exports = (results, opts = {}) => {
+  const fields = opts.fields || ['id', 'sis_user_id', 'name'];
+  const unmatchedRowMode = opts.unmatchedRows || UNMATCHED_ROW_MODES.FLAG;
+  const matchedRowMode = opts.matchedRows || MATCHED_ROW_MODES.KEEP;
+  const includeStatus = (opts.includeStatus !== false);
+  const includeErrors = (opts.includeErrors !== false);
+
+  if (!Object.values(UNMATCHED_ROW_MODES).includes(unmatchedRowMode)) {
+    throw new Error(`Invalid unmatchedRows option "${unmatchedRowMode}". Must be one of: ${Object.values(UNMATCHED_ROW_MODES).join(', ')}`);
+  }
+  if (!Object.values(MATCHED_ROW_MODES).includes(matchedRowMode)) {
+    throw new Error(`Invalid matchedRows option "${matchedRowMode}". Must be one of: ${Object.values(MATCHED_ROW_MODES).join(', ')}`);
+  }
+
+  // Put rows back in CSV order
+  const rows = [
+    ...(
+      (matchedRowMode === MATCHED_ROW_MODES.DROP)
+        ? []
+        : results.matchedRows.map((row) => {
+          return { row, isMatched: true };
+        })
+    ),
+    ...(
+      (unmatchedRowMode === UNMATCHED_ROW_MODES.DROP)
+        ? []
+        : results.unmatchedRows.map((row) => {
+          return { row, isMatched: false };
+        })
+    ),
+  ].sort((a, b) => {
+    return a.row.rowIndex - b.row.rowIndex;
+  });
+
+  // Only add user columns for pools whose users were matched
+  const pools = Object.keys(results.pools).filter((pool) => {
+    return results.matchedRows.some((matchedRow) => {
+      return (matchedRow.usersByPool[pool].length > 0);
+    });
+  });
+
+  // Create headers
+  const headers = [...results.csv.headers];
+  pools.forEach((pool) => {
+    fields.forEach((field) => {
+      headers.push(`${genPoolLabel(pool)} ${FIELD_TO_HEADER[field] || field}`);
+    });
+  });
+  if (includeStatus) {
+    headers.push('Match Status');
+  }
+  if (includeErrors) {
+    headers.push('Match Errors');
+  }
+
+  // Create rows
+  const data = rows.map(({ row, isMatched }) => {
+    const newRow = [...row.rawRow];
+    const isBlank = (
+      !isMatched
+      && unmatchedRowMode === UNMATCHED_ROW_MODES.KEEP
+    );
+
+    // Add user fields (people in the same row are separated by semicolons)
+    pools.forEach((pool) => {
+      const users = (isMatched ? row.usersByPool[pool] : []);
+      fields.forEach((field) => {
+        newRow.push(
+          users
+            .map((user) => {
+              const value = user[field];
+              return (
+                (value === undefined || value === null)
+                  ? ''
+                  : String(value)
+              );
+            })
+            .join('; ')
+        );
+      });
+    });
+
+    // Add status and errors
+    if (includeStatus) {
+      if (isBlank) {
+        newRow.push('');
+      } else {
+        newRow.push(isMatched ? 'matched' : 'unmatched');
+      }
+    }
+    if (includeErrors) {
+      newRow.push((isMatched || isBlank) ? '' : row.errors);
+    }
+
+    return newRow;
+  });
+
+  // Create the CSV
+  const csv = Papa.unparse({
+    data,
+    fields: headers,
+  });
+
+  // Write the file
+  if (opts.filename) {
+    fs.writeFileSync(opts.filename, csv, 'utf-8');
+  }
+
+  return csv;
+};
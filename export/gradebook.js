@@ -0,0 +1,196 @@
+const fs = require('fs');
+const Papa = require('papaparse');
+
+const { COL_TYPES } = require('../constants');
+
+// The columns that Canvas needs before the assignment columns
+const CANVAS_HEADERS = [
+  'Student',
+  'ID',
+  'SIS User ID',
+  'SIS Login ID',
+  'Section',
+];
+
+/**
+ * Turns a value into a cell
+ * @param {*} value - the value to turn into a cell
+ * @return {string} the cell
+ */
+const toCell = (value) => {
+  return (
+    (value === undefined || value === null)
+      ? ''
+      : String(value)
+  );
+};
+
+/**
+ * Creates a Canvas gradebook import CSV from the matched rows of a results
+ *   object
+ * @param {object} results - the results of a matching run
+ * @param {object} opts - export options
+ * @param {Array<string|object>} opts.assignments - the data columns to use as
+ *   assignment columns. Each item is either a data header or an object in
+ *   the form { header, title, pointsPossible } where header is the data
+ *   header, title is the name of the assignment in Canvas (defaults to the
+ *   header), and pointsPossible is optional
+ * @param {string} [opts.pool=student] - the name of the pool whose users
+ *   get grades
+ * @param {string|boolean} [opts.sectionHeader=the section column] - the
+ *   data header of the column to use for the Section column, or false to
+ *   leave the Section column empty. If left out, the section column of the
+ *   results is used (if one was found)
+ * @param {string} [opts.filename] - if included, the CSV is also written to
+ *   this file
+ * @return {object} the gradebook in the form { csv, warnings } where csv is
+ *   the CSV text and warnings is a list of { user, rowIndices, message } for
+ *   each student that would have grades overwritten because they show up in
+ *   more than one matched row
+ */
+module.exports = (results, opts) => {
+  const { dataHeaders, matchedRows, idToFullUser } = results;
+
+  // Resolve assignment columns
+  if (!opts || !opts.assignments || opts.assignments.length === 0) {
+    throw new Error('At least one assignment column must be included');
+  }
+  const assignments = opts.assignments.map((assignment) => {
+    const spec = (
+      (typeof assignment === 'string')
+        ? { header: assignment }
+        : assignment
+    );
+    const dataColIndex = dataHeaders.indexOf(spec.header);
+    if (dataColIndex < 0) {
+      throw new Error(`Assignment column "${spec.header}" is not one of the data columns`);
+    }
+    return {
+      dataColIndex,
+      title: spec.title || spec.header,
+      pointsPossible: spec.pointsPossible,
+    };
+  });
+
+  // Find the pool of users that get grades
+  const pool = (opts.pool || COL_TYPES.STUDENT);
+  if (!results.pools || !results.pools[pool]) {
+    throw new Error(`The results have no pool named "${pool}" to export grades for`);
+  }
+
+  // Find section column
+  let getSection = null; // matched row => section cell (null for no column)
+  if (opts.sectionHeader) {
+    const sectionDataColIndex = dataHeaders.indexOf(opts.sectionHeader);
+    if (sectionDataColIndex < 0) {
+      throw new Error(`Section column "${opts.sectionHeader}" is not one of the data columns`);
+    }
+    getSection = ({ dataColumns }) => {
+      return dataColumns[sectionDataColIndex];
+    };
+  } else if (opts.sectionHeader !== false && results.sectionColumn) {
+    const { colIndex } = results.sectionColumn;
+    getSection = ({ rawRow }) => {
+      return rawRow[colIndex];
+    };
+  }
+
+  // Collect grades for each student. Later rows overwrite earlier rows
+  const studentIds = []; // list of student ids in the order they show up
+  const idToGradebookRow = {}; // id => { section, grades, rowIndices }
+  matchedRows.forEach((matchedRow) => {
+    const { dataColumns, rowIndex } = matchedRow;
+    (matchedRow.usersByPool[pool] || []).forEach((student) => {
+      if (!idToGradebookRow[student.id]) {
+        studentIds.push(student.id);
+        idToGradebookRow[student.id] = {
+          section: '',
+          grades: assignments.map(() => {
+            return '';
+          }),
+          rowIndices: [],
+        };
+      }
+      const gradebookRow = idToGradebookRow[student.id];
+      gradebookRow.rowIndices.push(rowIndex);
+
+      if (getSection) {
+        gradebookRow.section = toCell(getSection(matchedRow));
+      }
+      assignments.forEach(({ dataColIndex }, i) => {
+        const grade = toCell(dataColumns[dataColIndex]).trim();
+        if (grade.length > 0) {
+          gradebookRow.grades[i] = grade;
+        }
+      });
+    });
+  });
+
+  // Warn about students who show up in more than one row
+  const warnings = [];
+  studentIds.forEach((id) => {
+    const { rowIndices } = idToGradebookRow[id];
+    if (rowIndices.length > 1) {
+      const user = idToFullUser[id];
+      warnings.push({
+        user,
+        rowIndices,
+        message: `${user.name} shows up in ${rowIndices.length} rows, so grades from later rows overwrite grades from earlier rows.`,
+      });
+    }
+  });
+
+  // Create headers and the optional points possible row
+  const headers = [
+    ...CANVAS_HEADERS,
+    ...assignments.map(({ title }) => {
+      return title;
+    }),
+  ];
+  const data = [];
+  const hasPointsPossible = assignments.some(({ pointsPossible }) => {
+    return (pointsPossible !== undefined && pointsPossible !== null);
+  });
+  if (hasPointsPossible) {
+    data.push([
+      'Points Possible',
+      '',
+      '',
+      '',
+      '',
+      ...assignments.map(({ pointsPossible }) => {
+        return toCell(pointsPossible);
+      }),
+    ]);
+  }
+
+  // Create a row for each student
+  studentIds.forEach((id) => {
+    const user = idToFullUser[id];
+    const { section, grades } = idToGradebookRow[id];
+    data.push([
+      toCell(user.sortable_name || user.name),
+      toCell(user.id),
+      toCell(user.sis_user_id),
+      toCell(user.login_id),
+      section,
+      ...grades,
+    ]);
+  });
+
+  // Create the CSV
+  const csv = Papa.unparse({
+    data,
+    fields: headers,
+  });
+
+  // Write the file
+  if (opts.filename) {
+    fs.writeFileSync(opts.filename, csv, 'utf-8');
+  }
+
+  return {
+    csv,
+    warnings,
+  };
+};
@@ -1,38 +1,468 @@
-const genPropToCellToUser = require('./helpers/genPropToCellToUser');
+const genPropToCellToUsers = require('./helpers/genPropToCellToUsers');
+const calcEditDistance = require('./helpers/calcEditDistance');
+const canonicalizeName = require('./helpers/canonicalizeName');
+const DEFAULT_NICKNAMES = require('./helpers/defaultNicknames');
+const propNameMap = require('./helpers/propNameMap');
+const tokenize = require('./helpers/tokenize');
+
+const { ID_PROPS, ID_WEIGHT_MULTIPLIER } = require('./constants');
+
+// Props that can be fuzzy matched
+const NAME_PROPS = ['fullName', 'sortableName'];
+const FUZZY_PROPS = [...NAME_PROPS, 'email', 'loginId'];
+
+// The second best fuzzy match must be at least this many edits further away
+// than the best fuzzy match
+const FUZZY_MARGIN = 2;
+
+/**
+ * Calculates the max number of edits allowed for a fuzzy match
+ * @param {string} cell - the cell to match
+ * @return {number} the max number of edits
+ */
+const genMaxDistance = (cell) => {
+  if (cell.length < 4) {
+    return 0;
+  }
+  if (cell.length < 10) {
+    return 1;
+  }
+  return 2;
+};
+
+/**
+ * Lists the words in a canonical name
+ * @param {string} name - the canonical name
+ * @return {string[]} the nonempty words in the name
+ */
+const listNameWords = (name) => {
+  return name.split(/[\s,]+/).filter((word) => {
+    return (word.length > 0);
+  });
+};
+
+/**
+ * Reduces a canonical name to its first and last words, reading names with a
+ *   comma as "Last, First" so both orders reduce to the same key
+ *   ("nunez, jose maria" and "jose nunez" => "jose nunez")
+ * @param {string} name - the canonical name
+ * @return {string|null} the key in the form "first last" or null if the name
+ *   doesn't have both a first and a last name
+ */
+const genFirstLastKey = (name) => {
+  const commaIndex = name.indexOf(',');
+  const firstWords = listNameWords(
+    (commaIndex >= 0)
+      ? name.substring(commaIndex + 1)
+      : name
+  );
+  const lastWords = listNameWords(
+    (commaIndex >= 0)
+      ? name.substring(0, commaIndex)
+      : name
+  );
+  if (
+    firstWords.length === 0
+    || lastWords.length === 0
+    || (commaIndex < 0 && firstWords.length < 2)
+  ) {
+    return null;
+  }
+  return `${firstWords[0]} ${lastWords[lastWords.length - 1]}`;
+};
+
+/**
+ * Checks if every word in one list is also in the other list
+ * @param {string[]} words - the words to check
+ * @param {string[]} otherWords - the words to check against
+ * @return {boolean} true if every word is in otherWords
+ */
+const isSubset = (words, otherWords) => {
+  return words.every((word) => {
+    return otherWords.includes(word);
+  });
+};
 
 /**
  * Creates getMatch and getConfidenceRatings functions based on the set of users
  * @param {user[]} users - a list of users
+ * @param {object} opts - matching options
+ * @param {function} opts.normalize - a function of the form
+ *   (prop, value) => normalized value (see helpers/genNormalize.js)
+ * @param {boolean} [opts.fuzzyMatching] - if true, when a cell doesn't
+ *   exactly match anyone, we try to find a user with a similar value (typos
+ *   and nicknames)
+ * @param {object} [opts.nicknames=default nicknames] - the nickname
+ *   dictionary to use for fuzzy matching, in the form
+ *   formal name => list of nicknames
+ * @param {object} [opts.aliases={}] - saved aliases that are checked after
+ *   exact lookups, in the form prop => normalized value => Canvas id (see
+ *   helpers/genAliasMap.js)
  * @return {object} a function set in the form
- *   { getMatch, getConfidenceRatings }, see below for function descriptions
+ *   { getMatch, getMatchDetails, getConfidenceRatings }, see below for
+ *   function descriptions
  */
-module.exports = (users) => {
-  // Get propToCellToUser
-  const propToCellToUser = genPropToCellToUser(users);
+module.exports = (users, opts) => {
+  const { fuzzyMatching, normalize } = opts;
 
-  // Create bag of words for each user
-  const idToBagOfWords = {}; // canvasId => list of words
+  // Get propToCellToUsers
+  const propToCellToUsers = genPropToCellToUsers(users, normalize);
+
+  // Look up aliased users by Canvas id (aliases of users who aren't in this
+  // set of users are ignored)
+  const aliases = opts.aliases || {};
+  const idToUser = {}; // canvasId => user
   users.forEach((user) => {
-    // Create bag of words for this user
-    const bagOfWords = new Set([]);
-    Object.values(user).forEach((cell) => {
-      const words = (
-        String(cell)
-          .toLowerCase()
-          .trim()
-          .split(' ')
+    idToUser[String(user.canvasId)] = user;
+  });
+
+  // Create a two-way nickname map
+  const nameToAliases = {}; // name => set of names that are interchangeable
+  Object.entries(opts.nicknames || DEFAULT_NICKNAMES).forEach(
+    ([formalName, nicknames]) => {
+      const names = [formalName, ...nicknames].map((name) => {
+        return canonicalizeName(name);
+      });
+      names.forEach((name) => {
+        if (!nameToAliases[name]) {
+          nameToAliases[name] = new Set([]);
+        }
+        names.forEach((alias) => {
+          if (alias !== name) {
+            nameToAliases[name].add(alias);
+          }
+        });
+      });
+    }
+  );
+
+  /**
+   * Finds a user whose name matches the cell after swapping one of the words
+   *   in the cell for one of its nicknames or formal names
+   * @param {string} prop - the name of the name property to search
+   * @param {string} fixedCell - the normalized cell
+   * @return {object|null} the match in the form { user, matchedValue } or null
+   *   if no user or more than one user matches
+   */
+  const getNicknameMatch = (prop, fixedCell) => {
+    const matches = new Map(); // user => matched value
+    const words = fixedCell.split(' ');
+    words.forEach((word, i) => {
+      // Separate the word from a trailing comma (e.g. "last,")
+      const name = word.replace(/,/g, '');
+      if (!nameToAliases[name]) {
+        return;
+      }
+
+      nameToAliases[name].forEach((alias) => {
+        const variant = [
+          ...words.slice(0, i),
+          word.replace(name, alias),
+          ...words.slice(i + 1),
+        ].join(' ');
+        (propToCellToUsers[prop][variant] || []).forEach((user) => {
+          matches.set(user, variant);
+        });
+      });
+    });
+
+    if (matches.size !== 1) {
+      return null;
+    }
+    const [[user, matchedValue]] = Array.from(matches.entries());
+    return { user, matchedValue };
+  };
+
+  // Index users by the first and last words of their names so names with
+  // more or fewer middle names can be found
+  const firstLastKeyToUsers = new Map(); // "first last" => list of users
+  users.forEach((user) => {
+    NAME_PROPS.forEach((prop) => {
+      const key = genFirstLastKey(user[prop] || '');
+      if (!key) {
+        return;
+      }
+      if (!firstLastKeyToUsers.has(key)) {
+        firstLastKeyToUsers.set(key, []);
+      }
+      if (!firstLastKeyToUsers.get(key).includes(user)) {
+        firstLastKeyToUsers.get(key).push(user);
+      }
+    });
+  });
+
+  /**
+   * Finds the users whose name matches the cell when the cell is written in
+   *   the other order ("Last, First" in a full name column or "First Last" in
+   *   a sortable name column) or when the cell has more or fewer middle names
+   *   than the user's name
+   * @param {string} prop - the name of the name property to search
+   * @param {string} fixedCell - the normalized cell
+   * @return {object|null} the match in the form { users, reason, matchedValue }
+   *   where reason is "name-order" or "middle-name", or null if no user
+   *   matches
+   */
+  const getNameVariantMatch = (prop, fixedCell) => {
+    // Look the cell up as the other name prop if it's written in that order
+    const otherProp = (
+      (prop === 'fullName')
+        ? 'sortableName'
+        : 'fullName'
+    );
+    const isLastFirst = fixedCell.includes(',');
+    const isOtherOrder = (isLastFirst === (otherProp === 'sortableName'));
+    const otherOrderMatches = (
+      isOtherOrder
+      && propToCellToUsers[otherProp]
+      && propToCellToUsers[otherProp][fixedCell]
+    );
+    if (otherOrderMatches) {
+      return {
+        users: otherOrderMatches,
+        reason: 'name-order',
+        matchedValue: fixedCell,
+      };
+    }
+
+    // Find users with the same first and last name whose middle names are
+    // all in the cell, or the other way around (different middle names
+    // don't count)
+    const key = genFirstLastKey(fixedCell);
+    const cellWords = listNameWords(fixedCell);
+    const matches = (firstLastKeyToUsers.get(key) || []).filter((user) => {
+      const userWords = listNameWords(user[prop] || user.fullName || '');
+      return (
+        isSubset(cellWords, userWords)
+        || isSubset(userWords, cellWords)
       );
-      words.forEach((word) => {
-        // Skip empty words
-        if (word.length === 0) {
-          return;
+    });
+    if (matches.length === 0) {
+      return null;
+    }
+    return {
+      users: matches,
+      reason: 'middle-name',
+      matchedValue: (
+        (matches.length === 1)
+          ? (matches[0][prop] || matches[0].fullName)
+          : fixedCell
+      ),
+    };
+  };
+
+  /**
+   * Finds the user whose value is within a few edits of the cell, as long as
+   *   that user is a clear winner over every other user
+   * @param {string} prop - the name of the property to search
+   * @param {string} fixedCell - the normalized cell
+   * @return {object|null} the match in the form
+   *   { user, matchedValue, distance } or null if no user is a clear winner
+   */
+  const getTypoMatch = (prop, fixedCell) => {
+    const maxDistance = genMaxDistance(fixedCell);
+    if (maxDistance === 0) {
+      return null;
+    }
+
+    let best = null; // { user, matchedValue, distance }
+    let secondBestDistance = Infinity;
+    Object.keys(propToCellToUsers[prop]).forEach((value) => {
+      // Skip values that can't be close enough to win
+      const cutoff = maxDistance + FUZZY_MARGIN;
+      if (
+        value.length === 0
+        || Math.abs(value.length - fixedCell.length) >= cutoff
+      ) {
+        return;
+      }
+
+      const distance = calcEditDistance(fixedCell, value);
+      if (!best || distance < best.distance) {
+        if (best) {
+          secondBestDistance = best.distance;
+        }
+        best = {
+          distance,
+          users: propToCellToUsers[prop][value],
+          matchedValue: value,
+        };
+      } else if (distance < secondBestDistance) {
+        secondBestDistance = distance;
+      }
+    });
+
+    if (
+      !best
+      || best.users.length !== 1 // Value is shared by more than one user
+      || best.distance > maxDistance
+      || secondBestDistance - best.distance < FUZZY_MARGIN
+    ) {
+      return null;
+    }
+    return {
+      user: best.users[0],
+      matchedValue: best.matchedValue,
+      distance: best.distance,
+    };
+  };
+
+  // Create bag of words for each user (and remember which props each word
+  // came from) and an inverted index so we only need to score users who share
+  // at least one word with a row
+  const idToBagOfWords = {}; // canvasId => map of word => list of props
+  const wordToUserIndices = new Map(); // word => list of indices into users
+  users.forEach((user, userIndex) => {
+    // Create bag of words for this user
+    const bagOfWords = new Map([]);
+    Object.keys(user).forEach((prop) => {
+      // Skip props that were removed or are empty
+      if (user[prop] === undefined || user[prop] === null) {
+        return;
+      }
+      tokenize(user[prop]).forEach((word) => {
+        if (!bagOfWords.has(word)) {
+          bagOfWords.set(word, []);
+        }
+        if (!bagOfWords.get(word).includes(prop)) {
+          bagOfWords.get(word).push(prop);
         }
-        bagOfWords.add(word);
       });
     });
     idToBagOfWords[user.canvasId] = bagOfWords;
+
+    // Add the user to the inverted index
+    bagOfWords.forEach((_, word) => {
+      if (!wordToUserIndices.has(word)) {
+        wordToUserIndices.set(word, []);
+      }
+      wordToUserIndices.get(word).push(userIndex);
+    });
+  });
+
+  /**
+   * Calculates how much a word in a user's bag of words is worth. Words shared
+   *   by many users are worth less, and words from identifiers are worth more
+   * @param {string} word - the word
+   * @param {string[]} props - the props the word came from
+   * @return {number} the weight of the word
+   */
+  const calcWeight = (word, props) => {
+    const numUsersWithWord = wordToUserIndices.get(word).length;
+    const rarity = Math.log((users.length + 1) / numUsersWithWord);
+    const isId = props.some((prop) => {
+      return ID_PROPS.includes(prop);
+    });
+    return rarity * (isId ? ID_WEIGHT_MULTIPLIER : 1);
+  };
+
+  // Pre-calculate the total weight of each user's bag of words
+  const idToTotalWeight = {}; // canvasId => total weight
+  users.forEach((user) => {
+    let totalWeight = 0;
+    idToBagOfWords[user.canvasId].forEach((props, word) => {
+      totalWeight += calcWeight(word, props);
+    });
+    idToTotalWeight[user.canvasId] = totalWeight;
   });
 
+  /**
+   * Given a cell and user prop, returns the user that matches best along
+   *   with information on how they matched
+   * @param {string} prop - the name of the property in the users to search
+   * @param {string} cell - the CSV cell
+   * @return {object|null} the match in the form
+   *   { user, isFuzzy, reason, matchedValue, distance, candidates } where
+   *   reason is "exact", "alias", "name-order", "middle-name", "nickname",
+   *   "typo", or "ambiguous", or null if no match found. If the cell matches
+   *   more than one user without fuzzy matching, reason is "ambiguous", user
+   *   is null, and candidates is the list of users that match (otherwise,
+   *   candidates only contains the matching user)
+   */
+  const getMatchDetails = (prop, cell) => {
+    const fixedCell = normalize(prop, cell);
+    if (!propToCellToUsers[prop] || fixedCell.length === 0) {
+      return null;
+    }
+
+    // Use propToCellToUsers to look up
+    const exactMatches = propToCellToUsers[prop][fixedCell];
+    if (exactMatches) {
+      const isAmbiguous = (exactMatches.length > 1);
+      return {
+        user: (isAmbiguous ? null : exactMatches[0]),
+        isFuzzy: false,
+        reason: (isAmbiguous ? 'ambiguous' : 'exact'),
+        matchedValue: fixedCell,
+        distance: 0,
+        candidates: exactMatches,
+      };
+    }
+
+    // Look up values that were saved as aliases of a user
+    const aliasedUser = (
+      aliases[prop]
+      && aliases[prop][fixedCell] !== undefined
+      && idToUser[aliases[prop][fixedCell]]
+    );
+    if (aliasedUser) {
+      return {
+        user: aliasedUser,
+        isFuzzy: false,
+        reason: 'alias',
+        matchedValue: fixedCell,
+        distance: 0,
+        candidates: [aliasedUser],
+      };
+    }
+
+    // Try the other name order and more or fewer middle names
+    if (NAME_PROPS.includes(prop)) {
+      const variantMatch = getNameVariantMatch(prop, fixedCell);
+      if (variantMatch) {
+        const isAmbiguous = (variantMatch.users.length > 1);
+        return {
+          user: (isAmbiguous ? null : variantMatch.users[0]),
+          isFuzzy: false,
+          reason: (isAmbiguous ? 'ambiguous' : variantMatch.reason),
+          matchedValue: variantMatch.matchedValue,
+          distance: 0,
+          candidates: variantMatch.users,
+        };
+      }
+    }
+
+    // Try to find a fuzzy match
+    if (!fuzzyMatching || !FUZZY_PROPS.includes(prop)) {
+      return null;
+    }
+    if (NAME_PROPS.includes(prop)) {
+      const nicknameMatch = getNicknameMatch(prop, fixedCell);
+      if (nicknameMatch) {
+        return {
+          user: nicknameMatch.user,
+          isFuzzy: true,
+          reason: 'nickname',
+          matchedValue: nicknameMatch.matchedValue,
+          distance: 0,
+          candidates: [nicknameMatch.user],
+        };
+      }
+    }
+    const typoMatch = getTypoMatch(prop, fixedCell);
+    if (typoMatch) {
+      return {
+        user: typoMatch.user,
+        isFuzzy: true,
+        reason: 'typo',
+        matchedValue: typoMatch.matchedValue,
+        distance: typoMatch.distance,
+        candidates: [typoMatch.user],
+      };
+    }
+
+    return null;
+  };
+
   // Return functions
   return {
     /**
@@ -43,31 +473,29 @@ module.exports = (users) => {
      *   more than one match found
      */
     getMatch: (prop, cell) => {
-      const fixedCell = (
-        String(cell)
-          .trim()
-          .toLowerCase()
-      );
-
-      // Use propToCellToUser to look up
-      if (!propToCellToUser[prop] || !propToCellToUser[prop][fixedCell]) {
-        return null;
-      }
-
-      return propToCellToUser[prop][fixedCell];
+      const details = getMatchDetails(prop, cell);
+      return (details ? details.user : null);
     },
 
+    getMatchDetails,
+
     /**
      * Given a CSV row, calculates the confidence rating against each user
      *   (0 to 100) where 0 is no confidence, 100 is very high confidence
      * @param {string[]} row - a CSV row
      * @param {user[]} [usersToExclude=[]] - a list of users to exclude from the
      *   calculation
-     * @return {object[]} confidence rating array of form { confidence, user }
+     * @param {number} [maxResults=Infinity] - the max number of ratings to
+     *   return (the ratings with the highest confidence are kept)
+     * @return {object[]} confidence rating array of form
+     *   { confidence, user, breakdown } sorted from highest to lowest
+     *   confidence (ties are in roster order) where breakdown is a list of
+     *   { word, colIndices, properties, weight, contribution } describing
+     *   which words in the row matched which of the user's properties
      */
-    getConfidenceRatings: (row, usersToExclude = []) => {
-      // Confidence rating = percent of words in the bag of words that are also
-      // in the row
+    getConfidenceRatings: (row, usersToExclude = [], maxResults = Infinity) => {
+      // Confidence rating = weighted percent of words in the bag of words
+      // that are also in the row
 
       // Create map of who is excluded
       const userIsExcluded = {}; // canvasId => true if user is excluded
@@ -76,44 +504,85 @@ module.exports = (users) => {
       });
 
       // Create a bag of words from the row
-      const wordInRow = {}; // word => true if the word is in the row
-      row.forEach((cell) => {
-        const words = (
-          cell
-            .trim()
-            .toLowerCase()
-            .split(' ')
-        );
+      const wordToColIndices = new Map(); // word => list of column indices
+      row.forEach((cell, colIndex) => {
+        // Include the words of the cell as it is and as it would be
+        // normalized for each prop, so "JDoe+x@X.edu" also counts as "jdoe"
+        const words = tokenize(cell);
+        Object.keys(propNameMap).forEach((prop) => {
+          words.push(...tokenize(normalize(prop, cell)));
+        });
         words.forEach((word) => {
-          // Skip empty words
-          if (word.length === 0) {
-            return;
+          if (!wordToColIndices.has(word)) {
+            wordToColIndices.set(word, []);
+          }
+          if (!wordToColIndices.get(word).includes(colIndex)) {
+            wordToColIndices.get(word).push(colIndex);
           }
+        });
+      });
 
-          wordInRow[word] = true;
+      // Find matching words, only for users who share a word with the row
+      const userIndexToWords = new Map(); // index into users => list of words
+      wordToColIndices.forEach((_, word) => {
+        (wordToUserIndices.get(word) || []).forEach((userIndex) => {
+          if (userIsExcluded[users[userIndex].canvasId]) {
+            return;
+          }
+          if (!userIndexToWords.has(userIndex)) {
+            userIndexToWords.set(userIndex, []);
+          }
+          userIndexToWords.get(userIndex).push(word);
         });
       });
 
       // Generate confidence values
-      const usersToInclude = users.filter((user) => {
-        return !userIsExcluded[user.canvasId];
-      });
-      const confidenceRatings = usersToInclude.map((user) => {
+      const confidenceRatings = [];
+      const isRated = {}; // index into users => true if already rated
+      userIndexToWords.forEach((words, userIndex) => {
+        const user = users[userIndex];
         const bagOfWords = idToBagOfWords[user.canvasId];
+        const totalWeight = idToTotalWeight[user.canvasId];
 
-        // Calculate confidence value
-        let numMatching = 0;
-        bagOfWords.forEach((word) => {
-          if (wordInRow[word]) {
-            numMatching += 1;
-          }
+        // Explain which words matched which props
+        let matchingWeight = 0;
+        const breakdown = words.map((word) => {
+          const props = bagOfWords.get(word);
+          const weight = calcWeight(word, props);
+          matchingWeight += weight;
+          return {
+            word,
+            weight,
+            colIndices: wordToColIndices.get(word),
+            properties: props.map((prop) => {
+              return propNameMap[prop];
+            }),
+            contribution: (
+              (totalWeight > 0)
+                ? Math.round((weight / totalWeight) * 100)
+                : 0
+            ),
+          };
         });
-        const confidence = Math.round((numMatching / bagOfWords.size) * 100);
+        breakdown.sort((a, b) => {
+          return b.weight - a.weight;
+        });
+        const confidence = (
+          (totalWeight > 0)
+            ? Math.round((matchingWeight / totalWeight) * 100)
+            : 0
+        );
 
-        return {
-          user,
-          confidence,
-        };
+        // Users with zero confidence are added below, in roster order
+        if (confidence > 0) {
+          isRated[userIndex] = true;
+          confidenceRatings.push({
+            user,
+            confidence,
+            breakdown,
+            userIndex,
+          });
+        }
       });
 
       // Sort confidence ratings from highest to lowest confidence
@@ -124,10 +593,40 @@ module.exports = (users) => {
         if (a.confidence > b.confidence) {
           return -1;
         }
-        return 0;
+        return a.userIndex - b.userIndex;
       });
 
-      return confidenceRatings;
+      // Fill in everyone else with zero confidence
+      for (
+        let userIndex = 0;
+        (
+          userIndex < users.length
+          && confidenceRatings.length < maxResults
+        );
+        userIndex++
+      ) {
+        const user = users[userIndex];
+        if (!isRated[userIndex] && !userIsExcluded[user.canvasId]) {
+          confidenceRatings.push({
+            user,
+            confidence: 0,
+            breakdown: [],
+          });
+        }
+      }
+
+      // Remove helper fields and limit the number of results
+      return (
+        confidenceRatings
+          .slice(0, maxResults)
+          .map(({ user, confidence, breakdown }) => {
+            return {
+              user,
+              confidence,
+              breakdown,
+            };
+          })
+      );
     },
   };
 };
@@ -0,0 +1,63 @@
+const listSections = require('./helpers/listSections');
+
+/**
+ * Turns a section name into the form used for comparison
+ * @param {string} section - the section name
+ * @return {string} the key ("" for rows without a section)
+ */
+const genSectionKey = (section) => {
+  const [listed] = listSections([section]);
+  return (listed ? listed.keys[0] : '');
+};
+
+/**
+ * Groups the rows of a results object by section. A row that lists more than
+ *   one section shows up in each of their groups. Section names that only
+ *   differ by case, accents, or punctuation are grouped together under the
+ *   first name seen
+ * @param {object} results - the results of a matching run (or of a call to
+ *   resolveRow)
+ * @param {string[]} [sections] - if included, only these sections are
+ *   grouped (sections that no row is in get empty groups)
+ * @return {object} map of section name => { matchedRows, unmatchedRows }.
+ *   Rows without a section are grouped under "" (unless sections is
+ *   included)
+ */
+module.exports = (results, sections) => {
+  const groups = {}; // section name => { matchedRows, unmatchedRows }
+  const keyToName = {}; // section key => name of its group
+  const getGroup = (section) => {
+    const key = genSectionKey(section);
+    if (keyToName[key] === undefined) {
+      keyToName[key] = section;
+      groups[section] = {
+        matchedRows: [],
+        unmatchedRows: [],
+      };
+    }
+    return groups[keyToName[key]];
+  };
+  (sections || []).forEach(getGroup);
+
+  ['matchedRows', 'unmatchedRows'].forEach((key) => {
+    results[key].forEach((row) => {
+      const rowSections = (
+        (row.sections && row.sections.length > 0)
+          ? row.sections
+          : ['']
+      );
+      const rowGroups = new Set([]); // the groups the row is added to
+      rowSections.forEach((section) => {
+        if (sections && keyToName[genSectionKey(section)] === undefined) {
+          return;
+        }
+        rowGroups.add(getGroup(section));
+      });
+      rowGroups.forEach((group) => {
+        group[key].push(row);
+      });
+    });
+  });
+
+  return groups;
+};
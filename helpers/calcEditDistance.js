@@ -0,0 +1,45 @@
+/**
+ * Calculates the edit distance between two strings, where an insertion,
+ *   deletion, substitution, or swap of two neighboring characters each count
+ *   as one edit
+ * @param {string} a - the first string
+ * @param {string} b - the second string
+ * @return {number} the number of edits needed to turn a into b
+ */
+module.exports = (a, b) => {
+  // distances[i][j] = distance between the first i chars of a and the first
+  // j chars of b
+  const distances = [];
+  for (let i = 0; i <= a.length; i++) {
+    distances.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    distances[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1);
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1, // deletion
+        distances[i][j - 1] + 1, // insertion
+        distances[i - 1][j - 1] + cost // substitution
+      );
+
+      // Swap of two neighboring characters
+      if (
+        i > 1
+        && j > 1
+        && a.charAt(i - 1) === b.charAt(j - 2)
+        && a.charAt(i - 2) === b.charAt(j - 1)
+      ) {
+        distances[i][j] = Math.min(
+          distances[i][j],
+          distances[i - 2][j - 2] + 1
+        );
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+};
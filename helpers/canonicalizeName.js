@@ -0,0 +1,21 @@
+const foldText = require('./foldText');
+
+/**
+ * Turns a name into the form used for comparison: accents are removed,
+ *   letters are lowercased, apostrophes are removed (O'Brien => obrien), other
+ *   punctuation becomes a space (Smith-Jones => smith jones), and whitespace
+ *   is collapsed. Commas are kept (with one space after them) so
+ *   "Last, First" names keep their order
+ * @param {string} name - the name to canonicalize
+ * @return {string} the canonical name
+ */
+module.exports = (name) => {
+  return (
+    foldText(name)
+      .replace(/['’ʼ`]/g, '')
+      .replace(/[^\p{L}\p{M}\p{N},\s]/gu, ' ')
+      .replace(/\s*,[\s,]*/g, ', ')
+      .replace(/^[\s,]+|[\s,]+$/g, '')
+      .replace(/\s+/g, ' ')
+  );
+};
@@ -0,0 +1,28 @@
+/**
+ * Combines the cells of a group of name columns (e.g. First Name + Last Name)
+ *   into one cell that can be looked up like a normal name cell
+ * @param {string} prop - the name prop that the group represents
+ *   (fullName or sortableName)
+ * @param {string[]} cells - the cells in the group, in group order
+ * @return {string} the combined cell
+ */
+module.exports = (prop, cells) => {
+  // Remove empty parts (e.g. an empty middle name)
+  const parts = (
+    cells
+      .map((cell) => {
+        return String(cell || '').trim();
+      })
+      .filter((part) => {
+        return (part.length > 0);
+      })
+  );
+
+  // Sortable names take the form "last, first middle"
+  if (prop === 'sortableName' && parts.length > 1) {
+    return `${parts[0]}, ${parts.slice(1).join(' ')}`;
+  }
+
+  // Full names take the form "first middle last"
+  return parts.join(' ');
+};
@@ -0,0 +1,52 @@
+/**
+ * Default header keyword vocabulary: words in a column's header that hint at
+ *   the property the column holds (property => list of keywords) and the type
+ *   of user it describes (type => list of keywords). Keywords match whole
+ *   words, so "ta" matches "TA Email" but not "Data"
+ * @type {object}
+ */
+module.exports = {
+  properties: {
+    'canvas-id': ['canvas id', 'canvas user id', 'user id'],
+    name: ['name', 'full name'],
+    'sortable-name': ['sortable name', 'last first', 'last name first name'],
+    'university-id': [
+      'huid',
+      'sis',
+      'sis id',
+      'sis user id',
+      'university id',
+      'student id',
+      'student number',
+      'id number',
+    ],
+    'login-id': ['login', 'login id', 'username', 'user name', 'netid'],
+    email: ['email', 'e mail', 'email address'],
+  },
+  types: {
+    student: [
+      'student',
+      'learner',
+      'partner',
+      'teammate',
+      'submitter',
+      'author',
+    ],
+    'teaching team member': [
+      'grader',
+      'graded by',
+      'ta',
+      'tf',
+      'ca',
+      'teaching fellow',
+      'teaching assistant',
+      'course assistant',
+      'instructor',
+      'teacher',
+      'professor',
+      'staff',
+      'reviewer',
+      'section leader',
+    ],
+  },
+};
@@ -0,0 +1,56 @@
+const { AT_LEAST_ONE, ERROR_CODES } = require('../constants');
+
+/**
+ * Default (English) message catalog: error code => function that turns an
+ *   error (see separateRows.js) into a sentence, plus join, which turns the
+ *   sentences of a row into its errors string. Custom catalogs override
+ *   these entries one at a time
+ * @type {object}
+ */
+module.exports = {
+  [ERROR_CODES.DUPLICATE_USER]: ({ type, users }) => {
+    return `Each ${type} can only show up once in your CSV, but ${users[0].name} showed up more than once.`;
+  },
+
+  [ERROR_CODES.WRONG_NUMBER_OF_USERS]: ({ type, expected, actual }) => {
+    if (expected === AT_LEAST_ONE) {
+      return `We need at least one ${type} matched to this row but no ${type}s matched. Maybe this row's data is different from info in the Canvas roster.`;
+    }
+    return `We need ${expected} ${type}${expected === 1 ? '' : 's'} matched to this row but ${actual} matched instead. Maybe this row's data is different from info in the Canvas roster.`;
+  },
+
+  [ERROR_CODES.AMBIGUOUS_CELL]: ({ type, users, details }) => {
+    const header = details.headers.join(' ');
+    const candidateNames = users.map((candidate) => {
+      return `${candidate.name} (Canvas ID ${candidate.id})`;
+    });
+    return `"${details.cell}" in "${header}" matches more than one ${type} (${candidateNames.join(', ')}) and nothing else in this row says which one it is.`;
+  },
+
+  [ERROR_CODES.CONFLICTING_CELLS]: ({ type, details }) => {
+    const descriptions = details.cells.map((conflictCell) => {
+      const header = conflictCell.headers.join(' ');
+      return `"${header}" (${conflictCell.cell}) points to ${conflictCell.user.name}`;
+    });
+    const lastDescription = descriptions.pop();
+    const joiner = (descriptions.length > 1 ? ', but ' : ' but ');
+    return `This row's cells disagree about who the ${type} is: ${descriptions.join(', ')}${joiner}${lastDescription}.`;
+  },
+
+  [ERROR_CODES.SECTION_MISMATCH]: ({ users, details }) => {
+    return `${users[0].name} is not in the section listed in this row (${details.section}).`;
+  },
+
+  join: (messages) => {
+    return (
+      messages
+        .map((message, i) => {
+          if (i > 0) {
+            return ` Also, ${message.charAt(0).toLowerCase()}${message.substring(1)}`;
+          }
+          return message;
+        })
+        .join('')
+    );
+  },
+};
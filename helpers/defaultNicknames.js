@@ -0,0 +1,49 @@
+/**
+ * Default nickname dictionary: formal name => list of common nicknames.
+ *   Lookups work in both directions, so "bob" finds "robert" and vice versa
+ * @type {object}
+ */
+module.exports = {
+  abigail: ['abby', 'abbie', 'gail'],
+  alexander: ['alex', 'al', 'xander', 'sasha'],
+  alexandra: ['alex', 'lexi', 'sasha', 'sandra'],
+  andrew: ['andy', 'drew'],
+  anthony: ['tony'],
+  benjamin: ['ben', 'benny', 'benji'],
+  catherine: ['cathy', 'cat', 'kate', 'katie'],
+  charles: ['charlie', 'chuck', 'chaz'],
+  christina: ['chris', 'tina', 'christy'],
+  christopher: ['chris', 'topher', 'kit'],
+  daniel: ['dan', 'danny'],
+  david: ['dave', 'davey'],
+  deborah: ['deb', 'debbie'],
+  edward: ['ed', 'eddie', 'ted', 'ned'],
+  elizabeth: ['liz', 'beth', 'lizzie', 'eliza', 'betty', 'libby'],
+  gabriel: ['gabe'],
+  gregory: ['greg'],
+  james: ['jim', 'jimmy', 'jamie'],
+  jennifer: ['jen', 'jenny'],
+  jonathan: ['jon', 'jonny'],
+  joseph: ['joe', 'joey'],
+  joshua: ['josh'],
+  katherine: ['kate', 'katie', 'kathy', 'kat'],
+  margaret: ['maggie', 'meg', 'peggy'],
+  matthew: ['matt'],
+  michael: ['mike', 'mikey', 'mick'],
+  nathaniel: ['nat', 'nate', 'nathan'],
+  nicholas: ['nick', 'nicky'],
+  patricia: ['pat', 'patty', 'trish'],
+  patrick: ['pat', 'paddy'],
+  rebecca: ['becca', 'becky'],
+  richard: ['rich', 'rick', 'dick', 'richie'],
+  robert: ['bob', 'bobby', 'rob', 'robbie', 'bert'],
+  samantha: ['sam', 'sammy'],
+  samuel: ['sam', 'sammy'],
+  stephen: ['steve', 'stevie'],
+  steven: ['steve', 'stevie'],
+  susan: ['sue', 'susie'],
+  thomas: ['tom', 'tommy'],
+  timothy: ['tim', 'timmy'],
+  victoria: ['vicky', 'tori'],
+  william: ['will', 'bill', 'billy', 'liam'],
+};
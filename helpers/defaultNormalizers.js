@@ -0,0 +1,68 @@
+const canonicalizeName = require('./canonicalizeName');
+
+// A single email-shaped token (no whitespace or list separators)
+const EMAIL_TOKEN_PATTERN = /^[^\s@;,|/&]+@[^\s@;,|/&]+$/;
+
+/**
+ * Lowercases, trims, and collapses whitespace
+ * @param {string} value - the value to normalize
+ * @return {string} the normalized value
+ */
+const normalizeText = (value) => {
+  return (
+    String(value)
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+  );
+};
+
+/**
+ * Removes plus-addressing from an email (jdoe+canvas@x.edu => jdoe@x.edu)
+ * @param {string} email - the email to process
+ * @return {string} the email without plus-addressing
+ */
+const removePlusAddressing = (email) => {
+  return email.replace(/\+[^@\s]*@/, '@');
+};
+
+/**
+ * Removes punctuation from an id and, if the id is numeric, removes leading
+ *   zeros (00-123 => 123)
+ * @param {string} value - the id to normalize
+ * @return {string} the normalized id
+ */
+const normalizeId = (value) => {
+  const id = normalizeText(value).replace(/[\s\-_.]/g, '');
+  if (/^\d+$/.test(id)) {
+    return id.replace(/^0+(?=\d)/, '');
+  }
+  return id;
+};
+
+/**
+ * Default normalizers: property => function that turns a raw value into the
+ *   form used for comparison. Each normalizer must return the same value when
+ *   it is applied twice
+ * @type {object}
+ */
+module.exports = {
+  'canvas-id': normalizeId,
+  // Names ignore accents, punctuation, and extra spaces (see
+  // canonicalizeName.js)
+  name: canonicalizeName,
+  'sortable-name': canonicalizeName,
+  'university-id': normalizeId,
+  // Login ids are compared without email domains so "jdoe@x.edu" => "jdoe"
+  // (other text that contains "@" is left as it is)
+  'login-id': (value) => {
+    const text = normalizeText(value);
+    if (!EMAIL_TOKEN_PATTERN.test(text)) {
+      return text;
+    }
+    return removePlusAddressing(text).split('@')[0];
+  },
+  email: (value) => {
+    return removePlusAddressing(normalizeText(value));
+  },
+};
@@ -0,0 +1,106 @@
+/**
+ * Groups matching columns into slots, where all columns in a slot describe
+ *   the same person in each row (e.g. a "Partner 1 Name" column and a
+ *   "Partner 1 Email" column). Two columns are put in the same slot if they
+ *   agree on who they describe in most of the rows where both found someone.
+ *   Columns that list multiple people per cell are always in their own slot
+ * @param {object[][]} rowsOfCellMatches - for each row, the list of cell
+ *   matches in the form { type, colIndices, separator, user } where user is
+ *   null if the cell didn't match anyone
+ * @return {object} map of first column index => slot number, where slots are
+ *   numbered separately for each type (starting at 0) in column order
+ */
+module.exports = (rowsOfCellMatches) => {
+  // Collect the matching columns
+  const colIndexToInfo = {}; // first col index => { type, isMultiValued }
+  rowsOfCellMatches.forEach((cellMatches) => {
+    cellMatches.forEach(({ type, colIndices, separator }) => {
+      colIndexToInfo[colIndices[0]] = {
+        type,
+        isMultiValued: !!separator,
+      };
+    });
+  });
+  const colIndices = (
+    Object.keys(colIndexToInfo)
+      .map((colIndex) => {
+        return Number.parseInt(colIndex, 10);
+      })
+      .sort((a, b) => {
+        return a - b;
+      })
+  );
+
+  // Count how often each pair of single-valued columns of the same type
+  // agrees: "a|b" => { numBoth, numAgree }
+  const pairToCounts = {};
+  rowsOfCellMatches.forEach((cellMatches) => {
+    // Find the user that each single-valued column found in this row
+    const colIndexToUserId = {};
+    cellMatches.forEach(({ colIndices: cellColIndices, separator, user }) => {
+      if (!separator && user) {
+        colIndexToUserId[cellColIndices[0]] = user.canvasId;
+      }
+    });
+    const foundColIndices = Object.keys(colIndexToUserId);
+    foundColIndices.forEach((a) => {
+      foundColIndices.forEach((b) => {
+        if (
+          Number(a) >= Number(b)
+          || colIndexToInfo[a].type !== colIndexToInfo[b].type
+        ) {
+          return;
+        }
+        const key = `${a}|${b}`;
+        if (!pairToCounts[key]) {
+          pairToCounts[key] = { numBoth: 0, numAgree: 0 };
+        }
+        pairToCounts[key].numBoth += 1;
+        if (colIndexToUserId[a] === colIndexToUserId[b]) {
+          pairToCounts[key].numAgree += 1;
+        }
+      });
+    });
+  });
+
+  // Join columns that usually agree into the same group
+  const parent = {}; // colIndex => parent colIndex
+  colIndices.forEach((colIndex) => {
+    parent[colIndex] = colIndex;
+  });
+  const findRoot = (colIndex) => {
+    let root = colIndex;
+    while (parent[root] !== root) {
+      root = parent[root];
+    }
+    return root;
+  };
+  Object.keys(pairToCounts).forEach((key) => {
+    const { numBoth, numAgree } = pairToCounts[key];
+    if (numAgree * 2 <= numBoth) {
+      return;
+    }
+    const [a, b] = key.split('|').map((colIndex) => {
+      return Number.parseInt(colIndex, 10);
+    });
+    const rootA = findRoot(a);
+    const rootB = findRoot(b);
+    parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  });
+
+  // Number the slots for each type in column order
+  const typeToNumSlots = {}; // type => number of slots so far
+  const rootToSlot = {}; // root colIndex => slot number
+  const colIndexToSlot = {};
+  colIndices.forEach((colIndex) => {
+    const root = findRoot(colIndex);
+    if (rootToSlot[root] === undefined) {
+      const { type } = colIndexToInfo[colIndex];
+      rootToSlot[root] = typeToNumSlots[type] || 0;
+      typeToNumSlots[type] = rootToSlot[root] + 1;
+    }
+    colIndexToSlot[colIndex] = rootToSlot[root];
+  });
+
+  return colIndexToSlot;
+};
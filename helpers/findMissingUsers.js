@@ -0,0 +1,70 @@
+// The max number of candidate rows to list for each missing user
+const MAX_CANDIDATE_ROWS = 5;
+
+/**
+ * Finds the users that were not matched to any row and lists the unmatched
+ *   rows that probably belong to them
+ * @param {object} opts - object containing all arguments
+ * @param {User[]} opts.users - the full list of Canvas users in the pool
+ * @param {object[]} opts.matchedRows - the list of matched rows
+ * @param {object[]} opts.unmatchedRows - the list of unmatched rows (with
+ *   potential users)
+ * @param {string} opts.pool - the name of the pool (e.g. "student")
+ * @return {object[]} list of missing users in the form
+ *   { user, candidateRows } where candidateRows is a list of
+ *   { rowIndex, confidence }, sorted from highest to lowest confidence
+ */
+module.exports = (opts) => {
+  const {
+    users,
+    matchedRows,
+    unmatchedRows,
+    pool,
+  } = opts;
+
+  // Find everyone who was matched
+  const isMatched = {}; // id => true if matched to a row
+  matchedRows.forEach((matchedRow) => {
+    (matchedRow.usersByPool[pool] || []).forEach((user) => {
+      isMatched[user.id] = true;
+    });
+  });
+
+  // Collect candidate rows for each user
+  const idToCandidateRows = {}; // id => list of { rowIndex, confidence }
+  unmatchedRows.forEach((unmatchedRow) => {
+    const potentials = unmatchedRow.potentialUsersByPool[pool] || [];
+    potentials.forEach(({ user, confidence }) => {
+      if (confidence <= 0) {
+        return;
+      }
+      if (!idToCandidateRows[user.id]) {
+        idToCandidateRows[user.id] = [];
+      }
+      idToCandidateRows[user.id].push({
+        confidence,
+        rowIndex: unmatchedRow.rowIndex,
+      });
+    });
+  });
+
+  return (
+    users
+      .filter((user) => {
+        return !isMatched[user.id];
+      })
+      .map((user) => {
+        const candidateRows = (
+          (idToCandidateRows[user.id] || [])
+            .sort((a, b) => {
+              return b.confidence - a.confidence;
+            })
+            .slice(0, MAX_CANDIDATE_ROWS)
+        );
+        return {
+          user,
+          candidateRows,
+        };
+      })
+  );
+};
@@ -0,0 +1,232 @@
+const combineNameCells = require('./combineNameCells');
+const genMinToMatch = require('./genMinToMatch');
+
+// Props that can be split across multiple columns
+const NAME_PROPS = ['fullName', 'sortableName'];
+
+// The largest number of columns that can form one name (first, middle, last)
+const MAX_GROUP_SIZE = 3;
+
+// The share of a column's nonempty cells that must be one word from a user's
+// name for the column to be part of a group
+const MIN_NAME_WORD_SHARE = 0.5;
+
+/**
+ * Lists the words in a normalized name
+ * @param {string} name - the normalized name
+ * @return {string[]} the nonempty words in the name
+ */
+const listWords = (name) => {
+  return name.split(/[\s,]+/).filter((word) => {
+    return (word.length > 0);
+  });
+};
+
+/**
+ * Creates a key from the first and last words of a name, which is all we
+ *   need to rule out most groups without building their combined cells
+ * @param {string} firstWord - the first word of the name
+ * @param {string} lastWord - the last word of the name
+ * @return {string} the key
+ */
+const genEndsKey = (firstWord, lastWord) => {
+  return `${firstWord}|${lastWord}`;
+};
+
+/**
+ * Lists all ordered groups of the given size that can be made from a list of
+ *   column indices
+ * @param {number[]} colIndices - the column indices to choose from
+ * @param {number} size - the number of columns in each group
+ * @return {number[][]} the list of ordered groups
+ */
+const listOrderedGroups = (colIndices, size) => {
+  if (size === 0) {
+    return [[]];
+  }
+
+  const groups = [];
+  colIndices.forEach((colIndex) => {
+    const remaining = colIndices.filter((otherIndex) => {
+      return (otherIndex !== colIndex);
+    });
+    listOrderedGroups(remaining, size - 1).forEach((subgroup) => {
+      groups.push([colIndex, ...subgroup]);
+    });
+  });
+  return groups;
+};
+
+/**
+ * Finds groups of columns that only identify users when combined (e.g. a
+ *   "First Name" column and a "Last Name" column that together form a full
+ *   name)
+ * @param {object} opts - object containing all arguments
+ * @param {string[][]} opts.rows - the rows of the CSV
+ * @param {number[]} opts.colIndices - the indices of the columns that could
+ *   be part of a group (usually the columns that didn't match anything on
+ *   their own)
+ * @param {object[]} opts.pods - the list of user pods in the form
+ *   { propToCellToUsers, type }
+ * @param {function} opts.normalize - a function of the form
+ *   (prop, value) => normalized value (see genNormalize.js)
+ * @param {object} [opts.thresholdOpts] - options for the number of cells that
+ *   must match in the form { matchThreshold, minMatchingCells } (see
+ *   genMinToMatch.js)
+ * @return {object[]} the list of non-overlapping groups in the form
+ *   { type, prop, colIndices, numMatching, numNonempty, minToMatch } where
+ *   colIndices is in the order the cells should be combined and numNonempty
+ *   is the number of rows with a nonempty combined cell
+ */
+module.exports = (opts) => {
+  const {
+    rows,
+    colIndices,
+    pods,
+    normalize,
+    thresholdOpts,
+  } = opts;
+
+  // Collect all the words that show up in users' names, and the first and
+  // last words of each name (so groups can be ruled out cheaply)
+  const isNameWord = {}; // word => true if it is part of a user's name
+  const podToEndsKeys = pods.map(({ propToCellToUsers }) => {
+    const propToEndsKeys = {}; // prop => set of ends keys
+    NAME_PROPS.forEach((prop) => {
+      propToEndsKeys[prop] = new Set([]);
+      Object.keys(propToCellToUsers[prop] || {}).forEach((name) => {
+        const words = listWords(name);
+        words.forEach((word) => {
+          isNameWord[word] = true;
+        });
+        if (words.length > 0) {
+          propToEndsKeys[prop].add(
+            genEndsKey(words[0], words[words.length - 1])
+          );
+        }
+      });
+    });
+    return propToEndsKeys;
+  });
+
+  // Split each row's cells into words once (the same cells are checked in
+  // many groups)
+  const rowsOfWords = rows.map((row) => {
+    const colIndexToWords = {}; // colIndex => list of words in the cell
+    colIndices.forEach((colIndex) => {
+      colIndexToWords[colIndex] = listWords(
+        normalize('fullName', row[colIndex] || '')
+      );
+    });
+    return colIndexToWords;
+  });
+
+  // Only combine columns that mostly hold one word of a user's name each
+  // (e.g. first names), since those are the columns that names are split into
+  const candidateColIndices = colIndices.filter((colIndex) => {
+    let numNonempty = 0;
+    let numNameWords = 0;
+    rowsOfWords.forEach((colIndexToWords) => {
+      const words = colIndexToWords[colIndex];
+      if (words.length > 0) {
+        numNonempty += 1;
+      }
+      if (words.length === 1 && isNameWord[words[0]]) {
+        numNameWords += 1;
+      }
+    });
+    return (
+      numNameWords > 0
+      && numNameWords >= numNonempty * MIN_NAME_WORD_SHARE
+    );
+  });
+
+  // Score every ordered group of candidate columns against every name prop
+  const groupData = []; // array of { type, prop, colIndices, numMatching, ... }
+  const maxSize = Math.min(MAX_GROUP_SIZE, candidateColIndices.length);
+  for (let size = 2; size <= maxSize; size++) {
+    listOrderedGroups(candidateColIndices, size).forEach((group) => {
+      // Find the first and last words of each row's combined cell, and count
+      // the nonempty cells
+      let numNonempty = 0;
+      const rowEnds = rowsOfWords.map((colIndexToWords) => {
+        let firstWords = null;
+        let lastWords = null;
+        group.forEach((colIndex) => {
+          const words = colIndexToWords[colIndex];
+          if (words.length > 0) {
+            firstWords = firstWords || words;
+            lastWords = words;
+          }
+        });
+        if (!firstWords) {
+          return null;
+        }
+        numNonempty += 1;
+        return genEndsKey(firstWords[0], lastWords[lastWords.length - 1]);
+      });
+      const minToMatch = genMinToMatch(numNonempty, thresholdOpts);
+
+      pods.forEach(({ propToCellToUsers, type }, podIndex) => {
+        NAME_PROPS.forEach((prop) => {
+          if (!propToCellToUsers[prop]) {
+            return;
+          }
+
+          // Only build the combined cells of rows whose first and last words
+          // could belong to a user
+          const endsKeys = podToEndsKeys[podIndex][prop];
+          let numMatching = 0;
+          rows.forEach((row, rowPosition) => {
+            if (!rowEnds[rowPosition] || !endsKeys.has(rowEnds[rowPosition])) {
+              return;
+            }
+            const cell = combineNameCells(
+              prop,
+              group.map((colIndex) => {
+                return row[colIndex];
+              })
+            );
+            if (propToCellToUsers[prop][normalize(prop, cell)]) {
+              numMatching += 1;
+            }
+          });
+
+          if (numMatching >= minToMatch) {
+            groupData.push({
+              type,
+              prop,
+              numMatching,
+              numNonempty,
+              minToMatch,
+              colIndices: group,
+            });
+          }
+        });
+      });
+    });
+  }
+
+  // Sort so the best groups come first (most matches, then fewest columns)
+  groupData.sort((a, b) => {
+    if (a.numMatching !== b.numMatching) {
+      return b.numMatching - a.numMatching;
+    }
+    return a.colIndices.length - b.colIndices.length;
+  });
+
+  // Greedily choose groups that don't share columns
+  const isUsed = {}; // colIndex => true if already part of a chosen group
+  return groupData.filter((groupDatum) => {
+    const overlaps = groupDatum.colIndices.some((colIndex) => {
+      return isUsed[colIndex];
+    });
+    if (overlaps) {
+      return false;
+    }
+    groupDatum.colIndices.forEach((colIndex) => {
+      isUsed[colIndex] = true;
+    });
+    return true;
+  });
+};
@@ -0,0 +1,91 @@
+const genMinToMatch = require('./genMinToMatch');
+const listSections = require('./listSections');
+
+// Headers that name a section column (e.g. "Section", "Section(s)")
+const SECTION_HEADER_PATTERN = /\bsections?\b/i;
+
+// Bonus added to a column's score when its header names sections (the rest
+// of the score is the share of cells that list a known section, from 0 to 1)
+const SECTION_HEADER_WEIGHT = 0.25;
+
+/**
+ * Finds the column that lists each row's section(s): the column with the best
+ *   share of nonempty cells that list a section one of the users is in
+ * @param {object} opts - object containing all arguments
+ * @param {string[]} opts.headers - the headers of the CSV
+ * @param {string[][]} opts.rows - the rows of the CSV
+ * @param {number[]} opts.colIndices - the indices of the columns that could
+ *   be the section column (usually the data columns)
+ * @param {User[]} opts.users - the full Canvas users, some of which have a
+ *   sections field
+ * @param {object} [opts.thresholdOpts] - options for the number of cells that
+ *   must match in the form { matchThreshold, minMatchingCells } (see
+ *   genMinToMatch.js)
+ * @return {number|null} the index of the section column or null if no column
+ *   lists enough known sections
+ */
+module.exports = (opts) => {
+  const {
+    headers,
+    rows,
+    colIndices,
+    users,
+    thresholdOpts,
+  } = opts;
+
+  // Collect the sections that users are in
+  const isKnownSection = {}; // section key => true if a user is in it
+  users.forEach((user) => {
+    listSections(user.sections).forEach(({ keys }) => {
+      keys.forEach((key) => {
+        isKnownSection[key] = true;
+      });
+    });
+  });
+  if (Object.keys(isKnownSection).length === 0) {
+    return null;
+  }
+
+  // Score each column
+  let best = null; // { colIndex, score }
+  colIndices.forEach((colIndex) => {
+    let numNonempty = 0;
+    let numMatching = 0;
+    rows.forEach((row) => {
+      const sections = listSections(row[colIndex]);
+      if (sections.length === 0) {
+        return;
+      }
+      numNonempty += 1;
+      const isKnown = sections.some(({ keys }) => {
+        return keys.some((key) => {
+          return isKnownSection[key];
+        });
+      });
+      if (isKnown) {
+        numMatching += 1;
+      }
+    });
+    const minToMatch = genMinToMatch(numNonempty, thresholdOpts);
+    if (numNonempty === 0 || numMatching < minToMatch) {
+      return;
+    }
+
+    const score = (
+      (numMatching / numNonempty)
+      + (
+        SECTION_HEADER_PATTERN.test(headers[colIndex])
+          ? SECTION_HEADER_WEIGHT
+          : 0
+      )
+    );
+    if (!best || score > best.score) {
+      best = {
+        colIndex,
+        score,
+      };
+    }
+  });
+
+  return (best ? best.colIndex : null);
+};
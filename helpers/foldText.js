@@ -0,0 +1,35 @@
+// Letters that Unicode doesn't split into a base letter and an accent =>
+// the plain letters they are usually written as
+const SPECIAL_LETTERS = {
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  đ: 'd',
+  ð: 'd',
+  ł: 'l',
+  þ: 'th',
+  ı: 'i',
+};
+
+/**
+ * Puts text in a standard Unicode form, removes accents (é => e), lowercases,
+ *   trims, and collapses whitespace. Only the accents used by Latin letters
+ *   are removed so marks that are part of other scripts are kept
+ * @param {*} value - the text to fold
+ * @return {string} the folded text
+ */
+module.exports = (value) => {
+  return (
+    String(value)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[ßæœøđðłþı]/g, (letter) => {
+        return SPECIAL_LETTERS[letter];
+      })
+      .trim()
+      .replace(/\s+/g, ' ')
+  );
+};
@@ -0,0 +1,59 @@
+const listActiveAliases = require('./listActiveAliases');
+const propNameMap = require('./propNameMap');
+
+/**
+ * Creates a lookup of saved aliases for one run. Only aliases that haven't
+ *   expired and are global or were saved under the run's scope are included.
+ *   If a value has both, the alias saved under the run's scope wins
+ * @param {object} opts - object containing all arguments
+ * @param {object[]} opts.aliases - the list of saved aliases in the form
+ *   { property, value, canvasId, scope, savedAt, expiresAt } where property
+ *   is one of the understandable property names (see propNameMap) and scope
+ *   is null for global aliases
+ * @param {string} [opts.scope] - the scope of the run (e.g. a course id)
+ * @param {function} opts.normalize - a function of the form
+ *   (prop, value) => normalized value (see genNormalize.js)
+ * @return {object} map of internal user prop => normalized value => Canvas id
+ */
+module.exports = (opts) => {
+  const {
+    aliases,
+    scope,
+    normalize,
+  } = opts;
+
+  // Map understandable property names back to internal props
+  const propertyToProp = {}; // property => internal prop
+  Object.keys(propNameMap).forEach((prop) => {
+    propertyToProp[propNameMap[prop]] = prop;
+  });
+
+  const propToValueToId = {}; // prop => normalized value => Canvas id
+  const isScoped = {}; // "prop|value" => true if saved under the run's scope
+  listActiveAliases(aliases).forEach((alias) => {
+    const prop = propertyToProp[alias.property];
+    const isGlobal = (alias.scope === null || alias.scope === undefined);
+    const isInScope = (
+      !isGlobal
+      && scope !== null
+      && scope !== undefined
+      && String(alias.scope) === String(scope)
+    );
+    if (!prop || (!isGlobal && !isInScope)) {
+      return;
+    }
+
+    // Normalize again in case the alias was edited by hand
+    const value = normalize(prop, alias.value);
+    const key = `${prop}|${value}`;
+    if (isScoped[key] && !isInScope) {
+      return;
+    }
+    isScoped[key] = isInScope;
+    if (!propToValueToId[prop]) {
+      propToValueToId[prop] = {};
+    }
+    propToValueToId[prop][value] = String(alias.canvasId);
+  });
+  return propToValueToId;
+};
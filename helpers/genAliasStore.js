@@ -0,0 +1,47 @@
+const fs = require('fs');
+
+/**
+ * Creates an alias store that reads and writes a JSON file holding a list of
+ *   aliases. A file that doesn't exist yet is an empty store
+ * @param {string} filename - the path of the JSON file
+ * @return {object} the store in the form { load, save }
+ */
+const genFileStore = (filename) => {
+  return {
+    load: () => {
+      if (!fs.existsSync(filename)) {
+        return [];
+      }
+      const aliases = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+      if (!Array.isArray(aliases)) {
+        throw new Error(`The alias store "${filename}" must be a list of aliases`);
+      }
+      return aliases;
+    },
+    save: (aliases) => {
+      fs.writeFileSync(filename, `${JSON.stringify(aliases, null, 2)}\n`);
+    },
+  };
+};
+
+/**
+ * Turns the aliasStore option into a store with load and save functions
+ * @param {string|object} store - the path of a JSON file or a caller-supplied
+ *   adapter in the form { load, save } where load() returns the list of
+ *   saved aliases and save(aliases) replaces them
+ * @return {object} the store in the form { load, save }
+ */
+module.exports = (store) => {
+  if (typeof store === 'string') {
+    return genFileStore(store);
+  }
+  const isAdapter = (
+    store
+    && typeof store.load === 'function'
+    && typeof store.save === 'function'
+  );
+  if (!isAdapter) {
+    throw new Error('aliasStore must be the path of a JSON file or an object in the form { load, save }');
+  }
+  return store;
+};
@@ -0,0 +1,124 @@
+const DEFAULT_HEADER_KEYWORDS = require('./defaultHeaderKeywords');
+
+/**
+ * Splits text into lowercase words, ignoring punctuation
+ * @param {string} text - the text to split
+ * @return {string[]} the list of words
+ */
+const toWords = (text) => {
+  return (
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => {
+        return (word.length > 0);
+      })
+  );
+};
+
+/**
+ * Adds custom keywords to the default keywords of one category
+ * @param {object} defaults - the default keywords in the form
+ *   key => list of keywords
+ * @param {object} [custom={}] - the custom keywords in the same form
+ * @return {object[]} the list of keywords in the form { key, keyword, words }
+ *   sorted so the longest keywords come first (custom keywords win ties)
+ */
+const mergeKeywords = (defaults, custom = {}) => {
+  const keywords = [];
+  [custom, defaults].forEach((keyToKeywords) => {
+    Object.keys(keyToKeywords).forEach((key) => {
+      keyToKeywords[key].forEach((keyword) => {
+        keywords.push({
+          key,
+          keyword,
+          words: toWords(keyword),
+        });
+      });
+    });
+  });
+  return keywords.sort((a, b) => {
+    return b.words.length - a.words.length;
+  });
+};
+
+/**
+ * Finds the keywords that show up in a header. Longer keywords win, so the
+ *   words of "Sortable Name" count toward "sortable name" and not "name"
+ * @param {string[]} headerWords - the words of the header
+ * @param {object[]} keywords - the list of keywords in the form
+ *   { key, keyword, words }, longest first
+ * @return {object[]} the list of keywords that show up in the header
+ */
+const findKeywords = (headerWords, keywords) => {
+  const isUsed = {}; // index of header word => true if part of a keyword
+  return keywords.filter(({ words }) => {
+    if (words.length === 0) {
+      return false;
+    }
+
+    // Find a spot in the header where the keyword's words show up in order
+    for (let start = 0; start + words.length <= headerWords.length; start++) {
+      const isMatch = words.every((word, i) => {
+        return (headerWords[start + i] === word && !isUsed[start + i]);
+      });
+      if (isMatch) {
+        words.forEach((_, i) => {
+          isUsed[start + i] = true;
+        });
+        return true;
+      }
+    }
+    return false;
+  });
+};
+
+/**
+ * Creates a function that looks for keywords in column headers that hint at
+ *   the property a column holds and the type of user it describes
+ * @param {object} [headerKeywords={}] - custom keywords that are added to the
+ *   defaults, in the form { properties, types } where properties is a map of
+ *   property => list of keywords and types is a map of type => list of
+ *   keywords (see defaultHeaderKeywords.js)
+ * @param {string[]} [types] - if included, only keywords for these types are
+ *   used (so keywords of types that aren't being matched can't hide the
+ *   keywords of types that are)
+ * @return {function} a function of the form (header) => analysis where
+ *   analysis takes the form { properties, types, keywords } and lists the
+ *   properties, types, and keywords found in the header
+ */
+module.exports = (headerKeywords = {}, types) => {
+  const custom = headerKeywords || {};
+  const propertyKeywords = mergeKeywords(
+    DEFAULT_HEADER_KEYWORDS.properties,
+    custom.properties
+  );
+  const typeKeywords = mergeKeywords(
+    DEFAULT_HEADER_KEYWORDS.types,
+    custom.types
+  ).filter(({ key }) => {
+    return (!types || types.includes(key));
+  });
+
+  return (header) => {
+    const headerWords = toWords(header);
+    const foundPropertyKeywords = findKeywords(headerWords, propertyKeywords);
+    const foundTypeKeywords = findKeywords(headerWords, typeKeywords);
+
+    // List each property and type once
+    const listKeys = (foundKeywords) => {
+      return Array.from(new Set(foundKeywords.map(({ key }) => {
+        return key;
+      })));
+    };
+    return {
+      properties: listKeys(foundPropertyKeywords),
+      types: listKeys(foundTypeKeywords),
+      keywords: (
+        [...foundPropertyKeywords, ...foundTypeKeywords].map(({ keyword }) => {
+          return keyword;
+        })
+      ),
+    };
+  };
+};
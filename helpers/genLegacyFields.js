@@ -0,0 +1,20 @@
+const { LEGACY_POOL_KEYS } = require('../constants');
+
+/**
+ * Copies per-pool values into the keys that callers who don't use pools
+ *   read (e.g. usersByPool.student => students)
+ * @param {object} byPool - map of pool name => value
+ * @param {string} field - the kind of value: "users", "potentials",
+ *   "missing", "numPerRow", or "onlyOnce" (see LEGACY_POOL_KEYS)
+ * @return {object} map of legacy key => value for each pool in byPool that
+ *   has a legacy key
+ */
+module.exports = (byPool, field) => {
+  const legacyFields = {};
+  Object.keys(LEGACY_POOL_KEYS).forEach((pool) => {
+    if (byPool[pool] !== undefined) {
+      legacyFields[LEGACY_POOL_KEYS[pool][field]] = byPool[pool];
+    }
+  });
+  return legacyFields;
+};
@@ -0,0 +1,31 @@
+// Default share of nonempty cells that must match
+const DEFAULT_MATCH_THRESHOLD = 0.6;
+
+// Default minimum number of cells that must match
+const DEFAULT_MIN_MATCHING_CELLS = 1;
+
+/**
+ * Calculates the minimum number of cells that must match for a column to be
+ *   considered a matching column (by default, at least 60% of nonempty cells,
+ *   min 1)
+ * @param {number} numNonempty - the number of nonempty cells in the column
+ * @param {object} [opts={}] - threshold options
+ * @param {number} [opts.matchThreshold=0.6] - the share of nonempty cells
+ *   that must match (from 0 to 1)
+ * @param {number} [opts.minMatchingCells=1] - the minimum number of cells
+ *   that must match, no matter how few cells are nonempty
+ * @return {number} the minimum number of cells that must match
+ */
+module.exports = (numNonempty, opts = {}) => {
+  const matchThreshold = (
+    (opts.matchThreshold !== undefined && opts.matchThreshold !== null)
+      ? opts.matchThreshold
+      : DEFAULT_MATCH_THRESHOLD
+  );
+  const minMatchingCells = (
+    (opts.minMatchingCells !== undefined && opts.minMatchingCells !== null)
+      ? opts.minMatchingCells
+      : DEFAULT_MIN_MATCHING_CELLS
+  );
+  return Math.max(minMatchingCells, Math.floor(numNonempty * matchThreshold));
+};
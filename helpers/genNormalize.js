@@ -0,0 +1,33 @@
+const DEFAULT_NORMALIZERS = require('./defaultNormalizers');
+const propNameMap = require('./propNameMap');
+
+/**
+ * Creates a normalize function that turns raw values into the form used for
+ *   comparison
+ * @param {object} [normalizers={}] - custom normalizers that override the
+ *   defaults, in the form property => function (value) => normalized value
+ *   where property is one of the understandable property names (see
+ *   propNameMap)
+ * @return {function} a function of the form (prop, value) => normalized value
+ *   where prop is the internal name of the user prop
+ */
+module.exports = (normalizers = {}) => {
+  return (prop, value) => {
+    const property = propNameMap[prop];
+    const normalizer = (
+      (normalizers && normalizers[property])
+      || DEFAULT_NORMALIZERS[property]
+    );
+
+    // Props without normalizers are just lowercased and trimmed
+    if (!normalizer) {
+      return (
+        String(value)
+          .trim()
+          .toLowerCase()
+      );
+    }
+
+    return String(normalizer(String(value)));
+  };
+};
@@ -0,0 +1,40 @@
+/**
+ * Given a set of users, creates a map to look up which users match a prop
+ *   and cell
+ * @param {user[]} users - a list of users
+ * @param {function} normalize - a function of the form
+ *   (prop, value) => normalized value (see genNormalize.js)
+ * @return {object} a lookup map of form prop => value => list of users that
+ *   match (more than one user matches if the value is shared, e.g. two
+ *   students named "Chris Lee")
+ */
+module.exports = (users, normalize) => {
+  const propToCellToUsers = {};
+
+  users.forEach((user) => {
+    // Update propToCellToUsers
+    Object.keys(user).forEach((prop) => {
+      // Initialize maps
+      if (propToCellToUsers[prop] === undefined) {
+        propToCellToUsers[prop] = {};
+      }
+
+      // Skip props that were removed or are empty
+      if (user[prop] === undefined || user[prop] === null) {
+        return;
+      }
+      const cell = normalize(prop, user[prop]);
+      if (cell.length === 0) {
+        return;
+      }
+
+      // Add the user to the list of users with this prop and cell combo
+      if (!propToCellToUsers[prop][cell]) {
+        propToCellToUsers[prop][cell] = [];
+      }
+      propToCellToUsers[prop][cell].push(user);
+    });
+  });
+
+  return propToCellToUsers;
+};
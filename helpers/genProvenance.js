@@ -0,0 +1,169 @@
+const propNameMap = require('./propNameMap');
+
+/**
+ * Describes how each user in a row was found, which cells didn't match
+ *   anyone, which cells matched more than one user, and which cells in the
+ *   same slot pointed to different people
+ * @param {object} opts - object containing all arguments
+ * @param {object[]} opts.cellMatches - the list of cell matches for the row
+ *   in the form { type, prop, colIndices, separator, cell, user, isFuzzy,
+ *   isAlias, disambiguatedBy, candidates } where user is the full Canvas user
+ *   or null if the cell didn't match, isAlias is true if the cell matched a
+ *   saved alias, disambiguatedBy is "row" or "section" if the cell matched
+ *   more than one user and one was chosen (or null), and candidates is the
+ *   list of full Canvas users that the cell matched if it matched more than
+ *   one (or null)
+ * @param {object} opts.colIndexToSlot - map of first column index => slot
+ *   number (see findColSlots.js)
+ * @param {string[]} opts.headers - the headers of the CSV
+ * @return {object} the provenance of the row in the form
+ *   { matches, unresolvedCells, ambiguousCells, conflicts } (see README.md
+ *   for more info)
+ */
+module.exports = (opts) => {
+  const {
+    cellMatches,
+    colIndexToSlot,
+    headers,
+  } = opts;
+
+  // Describe each cell
+  const sources = cellMatches.map((cellMatch) => {
+    const {
+      type,
+      prop,
+      colIndices,
+      separator,
+      cell,
+      user,
+      isFuzzy,
+      isAlias,
+      disambiguatedBy,
+      candidates,
+    } = cellMatch;
+    return {
+      type,
+      user,
+      candidates,
+      colIndices,
+      cell,
+      isFuzzy,
+      isAlias: !!isAlias,
+      isDisambiguated: !!disambiguatedBy,
+      disambiguatedBy: disambiguatedBy || null,
+      isMultiValued: !!separator,
+      slot: colIndexToSlot[colIndices[0]],
+      headers: colIndices.map((colIndex) => {
+        return headers[colIndex];
+      }),
+      property: propNameMap[prop],
+    };
+  });
+
+  // Group the sources by user
+  const matches = [];
+  const idToMatch = {}; // "type|id" => match
+  sources.forEach((source) => {
+    if (!source.user) {
+      return;
+    }
+    const key = `${source.type}|${source.user.id}`;
+    if (!idToMatch[key]) {
+      idToMatch[key] = {
+        type: source.type,
+        user: source.user,
+        sources: [],
+      };
+      matches.push(idToMatch[key]);
+    }
+    idToMatch[key].sources.push({
+      colIndices: source.colIndices,
+      headers: source.headers,
+      property: source.property,
+      cell: source.cell,
+      isFuzzy: source.isFuzzy,
+      isAlias: source.isAlias,
+      isDisambiguated: source.isDisambiguated,
+      disambiguatedBy: source.disambiguatedBy,
+    });
+  });
+
+  // List cells that didn't match anyone
+  const unresolvedCells = (
+    sources
+      .filter((source) => {
+        return (!source.user && !source.candidates);
+      })
+      .map((source) => {
+        return {
+          type: source.type,
+          colIndices: source.colIndices,
+          headers: source.headers,
+          property: source.property,
+          cell: source.cell,
+        };
+      })
+  );
+
+  // List cells that matched more than one user where the rest of the row
+  // didn't say which one it was
+  const ambiguousCells = (
+    sources
+      .filter((source) => {
+        return !!source.candidates;
+      })
+      .map((source) => {
+        return {
+          type: source.type,
+          colIndices: source.colIndices,
+          headers: source.headers,
+          property: source.property,
+          cell: source.cell,
+          candidates: source.candidates,
+        };
+      })
+  );
+
+  // Find slots where cells pointed to different people (columns that list
+  // multiple people per cell can't conflict)
+  const slotToSources = {}; // "type|slot" => list of sources
+  sources.forEach((source) => {
+    if (!source.user || source.isMultiValued) {
+      return;
+    }
+    const key = `${source.type}|${source.slot}`;
+    if (!slotToSources[key]) {
+      slotToSources[key] = [];
+    }
+    slotToSources[key].push(source);
+  });
+  const conflicts = [];
+  Object.values(slotToSources).forEach((slotSources) => {
+    const userIds = new Set(slotSources.map((source) => {
+      return source.user.id;
+    }));
+    if (userIds.size <= 1) {
+      return;
+    }
+    conflicts.push({
+      type: slotSources[0].type,
+      slot: slotSources[0].slot,
+      cells: slotSources.map((source) => {
+        return {
+          colIndices: source.colIndices,
+          headers: source.headers,
+          property: source.property,
+          cell: source.cell,
+          user: source.user,
+        };
+      }),
+    });
+  });
+
+  return {
+    matches,
+    unresolvedCells,
+    ambiguousCells,
+    conflicts,
+  };
+};
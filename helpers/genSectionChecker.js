@@ -0,0 +1,32 @@
+const listSections = require('./listSections');
+
+/**
+ * Creates a function that checks if a user is in one of the sections listed
+ *   in a cell
+ * @param {string} sectionCell - the cell that lists the row's section(s)
+ * @return {function} a function of the form (user) => isInSection where user
+ *   is a full Canvas user and isInSection is true if one of the user's
+ *   sections (see the user's sections field) is listed in the cell, false if
+ *   none are, or null if the cell is empty or the user has no sections
+ */
+module.exports = (sectionCell) => {
+  const isListed = {}; // section key => true if listed in the cell
+  listSections(sectionCell).forEach(({ keys }) => {
+    keys.forEach((key) => {
+      isListed[key] = true;
+    });
+  });
+  const isEmpty = (Object.keys(isListed).length === 0);
+
+  return (user) => {
+    const userSections = listSections(user.sections);
+    if (isEmpty || userSections.length === 0) {
+      return null;
+    }
+    return userSections.some(({ keys }) => {
+      return keys.some((key) => {
+        return isListed[key];
+      });
+    });
+  };
+};
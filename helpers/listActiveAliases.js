@@ -0,0 +1,13 @@
+/**
+ * Removes aliases that have expired
+ * @param {object[]} aliases - the list of aliases in the form
+ *   { property, value, canvasId, scope, savedAt, expiresAt } where expiresAt
+ *   is an ISO date string or null if the alias never expires
+ * @return {object[]} the aliases that haven't expired
+ */
+module.exports = (aliases) => {
+  const now = Date.now();
+  return aliases.filter(({ expiresAt }) => {
+    return (!expiresAt || Date.parse(expiresAt) > now);
+  });
+};
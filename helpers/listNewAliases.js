@@ -0,0 +1,119 @@
+const propNameMap = require('./propNameMap');
+
+// Milliseconds in a day
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Lists the aliases to learn from a row that users were assigned to by hand.
+ *   Cells that didn't match anyone, or that matched someone who wasn't
+ *   assigned through a typo, nickname, or alias, become aliases of the
+ *   assigned user they describe. A pool's cells are only learned if it's
+ *   clear who they describe: the one assigned user that no other cell
+ *   matched, or the only assigned user
+ * @param {object} opts - object containing all arguments
+ * @param {object} opts.row - the row as it was before the assignment
+ * @param {object} opts.assignedUsersByPool - map of pool name => list of
+ *   Canvas users assigned to the row
+ * @param {function} opts.normalize - a function of the form
+ *   (prop, value) => normalized value (see genNormalize.js)
+ * @param {number|null} opts.lifetimeDays - the number of days the aliases
+ *   last (null to keep them until they are removed from the store)
+ * @param {string|null} opts.scope - the scope to save the aliases under
+ *   (null for global aliases)
+ * @return {object[]} the new aliases in the form
+ *   { property, value, canvasId, scope, savedAt, expiresAt }
+ */
+module.exports = (opts) => {
+  const {
+    row,
+    assignedUsersByPool,
+    normalize,
+    lifetimeDays,
+    scope,
+  } = opts;
+  const provenance = row.provenance || {
+    matches: [],
+    unresolvedCells: [],
+  };
+
+  // Map understandable property names back to internal props
+  const propertyToProp = {}; // property => internal prop
+  Object.keys(propNameMap).forEach((prop) => {
+    propertyToProp[propNameMap[prop]] = prop;
+  });
+
+  const now = Date.now();
+  const savedAt = new Date(now).toISOString();
+  const expiresAt = (
+    (lifetimeDays !== null && lifetimeDays !== undefined)
+      ? new Date(now + (lifetimeDays * MS_PER_DAY)).toISOString()
+      : null
+  );
+
+  const newAliases = [];
+  const isListed = {}; // "property|value" => true if already listed
+  Object.keys(assignedUsersByPool).forEach((pool) => {
+    const assignedUsers = assignedUsersByPool[pool];
+    const isAssigned = {}; // id => true if assigned to the row
+    assignedUsers.forEach((user) => {
+      isAssigned[user.id] = true;
+    });
+
+    // Find the cells that didn't lead to an assigned user
+    const isClaimed = {}; // id => true if a cell matched the assigned user
+    const cells = []; // list of { property, cell }
+    provenance.matches.forEach(({ type, user, sources }) => {
+      if (type !== pool) {
+        return;
+      }
+      if (isAssigned[user.id]) {
+        isClaimed[user.id] = true;
+        return;
+      }
+      sources.forEach((source) => {
+        if (source.isFuzzy || source.isAlias) {
+          cells.push({
+            property: source.property,
+            cell: source.cell,
+          });
+        }
+      });
+    });
+    provenance.unresolvedCells.forEach(({ type, property, cell }) => {
+      if (type === pool) {
+        cells.push({ property, cell });
+      }
+    });
+
+    // Figure out who the cells describe
+    const unclaimedUsers = assignedUsers.filter((user) => {
+      return !isClaimed[user.id];
+    });
+    const targets = (
+      (unclaimedUsers.length > 0)
+        ? unclaimedUsers
+        : assignedUsers
+    );
+    if (targets.length !== 1) {
+      return;
+    }
+
+    cells.forEach(({ property, cell }) => {
+      const value = normalize(propertyToProp[property], cell);
+      const key = `${property}|${value}`;
+      if (value.length === 0 || isListed[key]) {
+        return;
+      }
+      isListed[key] = true;
+      newAliases.push({
+        property,
+        value,
+        scope,
+        savedAt,
+        expiresAt,
+        canvasId: targets[0].id,
+      });
+    });
+  });
+  return newAliases;
+};
@@ -0,0 +1,90 @@
+const foldText = require('./foldText');
+
+// Separators between section names when sections are listed in one string
+const SECTION_SEPARATOR = /[;,|\n]/;
+
+/**
+ * Turns a section name or id into the form used for comparison (accents,
+ *   case, and punctuation are ignored)
+ * @param {*} value - the section name or id
+ * @return {string} the key
+ */
+const genKey = (value) => {
+  return (
+    foldText(value)
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim()
+  );
+};
+
+/**
+ * Lists the sections in a user's section membership or a section cell
+ * @param {string|Array<string|number|object>} [sections] - a string that
+ *   lists section names (separated by semicolons, commas, or pipes) or a list
+ *   of section names, ids, or Canvas sections in the form { id, name }
+ * @return {object[]} the list of sections in the form
+ *   { name, keys, isCombined } where keys are the forms of the section's name
+ *   and id used for comparison. If a string lists more than one section, the
+ *   whole string is also listed with isCombined: true in case the separator
+ *   was part of one section's name
+ */
+module.exports = (sections) => {
+  if (sections === undefined || sections === null) {
+    return [];
+  }
+
+  // Lists of sections
+  if (Array.isArray(sections)) {
+    return sections
+      .map((section) => {
+        if (section && typeof section === 'object') {
+          return {
+            name: String(section.name || section.id),
+            keys: [section.name, section.id]
+              .filter((value) => {
+                return (value !== undefined && value !== null);
+              })
+              .map(genKey),
+            isCombined: false,
+          };
+        }
+        return {
+          name: String(section).trim(),
+          keys: [genKey(section)],
+          isCombined: false,
+        };
+      })
+      .filter(({ keys }) => {
+        return keys.some((key) => {
+          return (key.length > 0);
+        });
+      });
+  }
+
+  // Strings that list sections
+  const parts = (
+    String(sections)
+      .split(SECTION_SEPARATOR)
+      .map((part) => {
+        return part.trim();
+      })
+      .filter((part) => {
+        return (genKey(part).length > 0);
+      })
+  );
+  const listed = parts.map((part) => {
+    return {
+      name: part,
+      keys: [genKey(part)],
+      isCombined: false,
+    };
+  });
+  if (parts.length > 1) {
+    listed.push({
+      name: String(sections).trim(),
+      keys: [genKey(sections)],
+      isCombined: true,
+    });
+  }
+  return listed;
+};
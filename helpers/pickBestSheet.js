@@ -0,0 +1,47 @@
+const genPropToCellToUsers = require('./genPropToCellToUsers');
+
+// The number of rows of each sheet to look at
+const NUM_ROWS_TO_SAMPLE = 100;
+
+/**
+ * Picks the workbook sheet that most likely holds the data to match: the one
+ *   with the most cells that match a user
+ * @param {object} opts - object containing all arguments
+ * @param {object[]} opts.sheets - the list of sheets in the form
+ *   { name, rows } where rows is a string[][]
+ * @param {object[]} opts.users - the list of simplified users to look for
+ *   (see preProcess/users.js)
+ * @param {function} opts.normalize - a function of the form
+ *   (prop, value) => normalized value (see genNormalize.js)
+ * @return {number} the index of the best sheet (ties go to the first sheet)
+ */
+module.exports = (opts) => {
+  const { sheets, users, normalize } = opts;
+
+  const propToCellToUsers = genPropToCellToUsers(users, normalize);
+  const props = Object.keys(propToCellToUsers);
+
+  let bestIndex = 0;
+  let bestNumMatching = -1;
+  sheets.forEach(({ rows }, sheetIndex) => {
+    // Count the cells that match someone
+    let numMatching = 0;
+    rows.slice(0, NUM_ROWS_TO_SAMPLE).forEach((row) => {
+      row.forEach((cell) => {
+        const isMatch = props.some((prop) => {
+          return propToCellToUsers[prop][normalize(prop, cell)];
+        });
+        if (isMatch) {
+          numMatching += 1;
+        }
+      });
+    });
+
+    if (numMatching > bestNumMatching) {
+      bestIndex = sheetIndex;
+      bestNumMatching = numMatching;
+    }
+  });
+
+  return bestIndex;
+};
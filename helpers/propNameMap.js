@@ -0,0 +1,13 @@
+/**
+ * Map from internal user prop name to the more understandable property name
+ *   that callers see (in colTypes, options, etc.)
+ * @type {object}
+ */
+module.exports = {
+  canvasId: 'canvas-id',
+  fullName: 'name',
+  sortableName: 'sortable-name',
+  sisUserId: 'university-id',
+  loginId: 'login-id',
+  email: 'email',
+};
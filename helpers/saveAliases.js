@@ -0,0 +1,27 @@
+const listActiveAliases = require('./listActiveAliases');
+
+/**
+ * Adds aliases to a store. New aliases replace saved aliases for the same
+ *   value and scope, and expired aliases are removed
+ * @param {object} store - the alias store in the form { load, save } (see
+ *   genAliasStore.js)
+ * @param {object[]} newAliases - the aliases to add in the form
+ *   { property, value, canvasId, scope, savedAt, expiresAt }
+ */
+module.exports = (store, newAliases) => {
+  const genKey = ({ property, value, scope }) => {
+    return JSON.stringify([property, value, scope]);
+  };
+  const isReplaced = {}; // key => true if replaced by a new alias
+  newAliases.forEach((alias) => {
+    isReplaced[genKey(alias)] = true;
+  });
+
+  const keptAliases = listActiveAliases(store.load()).filter((alias) => {
+    return !isReplaced[genKey({
+      ...alias,
+      scope: (alias.scope === undefined ? null : alias.scope),
+    })];
+  });
+  store.save([...keptAliases, ...newAliases]);
+};
@@ -0,0 +1,300 @@
+const genSectionChecker = require('./genSectionChecker');
+const listSections = require('./listSections');
+const DEFAULT_MESSAGES = require('./defaultMessages');
+
+const {
+  ANY_NUMBER,
+  AT_LEAST_ONE,
+  ERROR_CODES,
+} = require('../constants');
+
+/**
+ * Checks if the actual number of users per row matches the expected number
+ * @param {string|number} expected - the expected number of users per row or
+ *   ANY_NUMBER if any number is allowed or AT_LEAST_ONE if the number must be
+ *   positive
+ * @param {number} actual - the actual number of users in the row
+ * @return {boolean} true if the actual number doesn't match the expected
+ *   number
+ */
+const isWrongNumber = (expected, actual) => {
+  if (expected === ANY_NUMBER) {
+    return false;
+  }
+  if (expected === AT_LEAST_ONE) {
+    return !(actual > 0);
+  }
+  return (expected !== actual);
+};
+
+/**
+ * Lists each user once
+ * @param {User[]} users - the list of users
+ * @return {User[]} the users without duplicates (by id), in order
+ */
+const dedupeUsers = (users) => {
+  const isListed = {}; // id => true if already listed
+  return users.filter((user) => {
+    if (isListed[user.id]) {
+      return false;
+    }
+    isListed[user.id] = true;
+    return true;
+  });
+};
+
+/**
+ * Checks each row against the "only once" and number per row rules, makes
+ *   sure cells that describe the same person agree and don't match more than
+ *   one user, checks that users are in the row's section, and separates the
+ *   rows into matched rows and unmatched rows
+ * @param {object} opts - object containing all arguments
+ * @param {object[]} opts.rowMatches - the list of rows in the form
+ *   { rawRow, dataColumns, rowIndex, usersByPool, ... } where usersByPool is
+ *   a map of pool name => list of Canvas users
+ * @param {object} opts.pools - map of pool name => { onlyOnce, numPerRow }
+ *   where onlyOnce is true if each user in the pool can only show up once in
+ *   the CSV and numPerRow is the number of users from the pool to expect per
+ *   row, or "any" or "at-least-one"
+ * @param {number|null} [opts.sectionColIndex=null] - the index of the column
+ *   that lists each row's section(s), or null if there is none
+ * @param {boolean} [opts.requireSectionMatch] - if true, rows with users who
+ *   aren't in the section listed in the row are unmatched
+ * @param {object} [opts.messages=DEFAULT_MESSAGES] - the message catalog
+ *   used to describe errors, in the form error code => (error) => message,
+ *   plus join: (messages) => errors string (see defaultMessages.js)
+ * @return {object} the separated rows in the form
+ *   { matchedRows, unmatchedRows } where each row is a copy of its row match
+ *   with its sections and section mismatches, and each unmatched row also
+ *   has an errorList (a list of errors in the form
+ *   { code, type, expected, actual, users, details, message }) and an errors
+ *   string
+ */
+module.exports = (opts) => {
+  const {
+    rowMatches,
+    pools,
+    requireSectionMatch,
+  } = opts;
+  const messages = {
+    ...DEFAULT_MESSAGES,
+    ...(opts.messages || {}),
+  };
+  const sectionColIndex = (
+    (opts.sectionColIndex !== undefined && opts.sectionColIndex !== null)
+      ? opts.sectionColIndex
+      : null
+  );
+  const poolNames = Object.keys(pools);
+
+  // Determine which users violate the "only once" rule of their pool so we
+  // can disqualify their rows later
+  const numAppearances = {}; // "pool|canvasId" => number of rows the user is
+  // in, if the user is disqualified
+  /**
+   * Finds disqualified users (shows up more than once but not allowed to show
+   *   up more than once)
+   * @param {string} pool - the name of the pool of users to find and
+   *   disqualify
+   */
+  const findDisqualified = (pool) => {
+    const timesSeen = {}; // canvasId => number of rows seen in our search
+    rowMatches.forEach((rowMatch) => {
+      // Count the rows each user is in
+      (rowMatch.usersByPool[pool] || []).forEach((user) => {
+        timesSeen[user.id] = (timesSeen[user.id] || 0) + 1;
+      });
+    });
+
+    // Users seen more than once are disqualified
+    Object.keys(timesSeen).forEach((id) => {
+      if (timesSeen[id] > 1) {
+        numAppearances[`${pool}|${id}`] = timesSeen[id];
+      }
+    });
+  };
+  poolNames.forEach((pool) => {
+    if (pools[pool].onlyOnce) {
+      findDisqualified(pool);
+    }
+  });
+
+  // Separate rows into matched rows and unmatched rows
+  // To be matched, the row must not have disqualified users and must have the
+  // usual number of users from each pool in the row
+  const matchedRows = [];
+  const unmatchedRows = [];
+  rowMatches.forEach((rowMatch) => {
+    // Figure out if this row is disqualified (one of its matches is
+    // disqualified)
+    const errorList = [];
+    const addError = (error) => {
+      errorList.push({
+        expected: null,
+        actual: null,
+        users: [],
+        details: {},
+        ...error,
+      });
+    };
+    poolNames.forEach((pool) => {
+      (rowMatch.usersByPool[pool] || []).forEach((user) => {
+        const numRows = numAppearances[`${pool}|${user.id}`];
+        if (numRows) {
+          addError({
+            code: ERROR_CODES.DUPLICATE_USER,
+            type: pool,
+            expected: 1,
+            actual: numRows,
+            users: [user],
+          });
+        }
+      });
+    });
+
+    // Figure out if cells that describe the same person disagree or if cells
+    // match more than one user (unless someone already picked the right users
+    // by hand)
+    const isAmbiguousType = {}; // type => true if a cell of that type matched
+    // more than one user
+    if (!rowMatch.isManuallyResolved && rowMatch.provenance) {
+      rowMatch.provenance.ambiguousCells.forEach((ambiguousCell) => {
+        addError({
+          code: ERROR_CODES.AMBIGUOUS_CELL,
+          type: ambiguousCell.type,
+          expected: 1,
+          actual: ambiguousCell.candidates.length,
+          users: ambiguousCell.candidates,
+          details: {
+            cell: ambiguousCell.cell,
+            colIndices: ambiguousCell.colIndices,
+            headers: ambiguousCell.headers,
+            property: ambiguousCell.property,
+          },
+        });
+        isAmbiguousType[ambiguousCell.type] = true;
+      });
+      rowMatch.provenance.conflicts.forEach((conflict) => {
+        const users = dedupeUsers(conflict.cells.map(({ user }) => {
+          return user;
+        }));
+        addError({
+          users,
+          code: ERROR_CODES.CONFLICTING_CELLS,
+          type: conflict.type,
+          expected: 1,
+          actual: users.length,
+          details: {
+            slot: conflict.slot,
+            cells: conflict.cells,
+          },
+        });
+      });
+    }
+
+    // Figure out if users aren't in the section listed in the row
+    const sectionCell = (
+      (sectionColIndex !== null)
+        ? String(rowMatch.rawRow[sectionColIndex] || '').trim()
+        : ''
+    );
+    const isInSection = genSectionChecker(sectionCell);
+    const sectionMismatches = []; // list of { pool, user, section }
+    poolNames.forEach((pool) => {
+      (rowMatch.usersByPool[pool] || []).forEach((user) => {
+        if (isInSection(user) === false) {
+          sectionMismatches.push({
+            pool,
+            user,
+            section: sectionCell,
+          });
+        }
+      });
+    });
+    if (requireSectionMatch && !rowMatch.isManuallyResolved) {
+      sectionMismatches.forEach(({ pool, user, section }) => {
+        addError({
+          code: ERROR_CODES.SECTION_MISMATCH,
+          type: pool,
+          users: [user],
+          details: { section },
+        });
+      });
+    }
+
+    // List the row's sections: the ones listed in the row, or the sections of
+    // the users in the row if the row doesn't list any
+    let sections = (
+      listSections(sectionCell)
+        .filter(({ isCombined }) => {
+          return !isCombined;
+        })
+        .map(({ name }) => {
+          return name;
+        })
+    );
+    if (sections.length === 0) {
+      const userSections = new Set([]);
+      poolNames.forEach((pool) => {
+        (rowMatch.usersByPool[pool] || []).forEach((user) => {
+          listSections(user.sections).forEach(({ name, isCombined }) => {
+            if (!isCombined) {
+              userSections.add(name);
+            }
+          });
+        });
+      });
+      sections = Array.from(userSections);
+    }
+
+    // Figure out if this row has the wrong number of people in it (the count
+    // is meaningless if we don't know who one of the people is)
+    poolNames.forEach((pool) => {
+      const { numPerRow } = pools[pool];
+      const actual = (rowMatch.usersByPool[pool] || []).length;
+      if (!isAmbiguousType[pool] && isWrongNumber(numPerRow, actual)) {
+        addError({
+          actual,
+          code: ERROR_CODES.WRONG_NUMBER_OF_USERS,
+          type: pool,
+          expected: numPerRow,
+        });
+      }
+    });
+
+    // Figure out if this row is unmatched
+    const isUnmatched = (errorList.length > 0);
+
+    // Describe each error with the message catalog and turn the descriptions
+    // into one string
+    errorList.forEach((error, i) => {
+      errorList[i].message = messages[error.code](error);
+    });
+    const errors = messages.join(errorList.map(({ message }) => {
+      return message;
+    }));
+
+    // Handle unmatched row
+    if (isUnmatched) {
+      unmatchedRows.push({
+        ...rowMatch,
+        sections,
+        sectionMismatches,
+        errorList,
+        errors,
+      });
+    } else {
+      // Handle matched row
+      matchedRows.push({
+        ...rowMatch,
+        sections,
+        sectionMismatches,
+      });
+    }
+  });
+
+  return {
+    matchedRows,
+    unmatchedRows,
+  };
+};
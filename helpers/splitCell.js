@@ -0,0 +1,25 @@
+/**
+ * Splits a cell that lists multiple values (e.g. "alice@x.edu; bob@x.edu")
+ *   into its values
+ * @param {string} cell - the cell to split
+ * @param {string} [separator] - the separator between values, or leave out
+ *   if the cell holds only one value
+ * @return {string[]} the nonempty values in the cell
+ */
+module.exports = (cell, separator) => {
+  const parts = (
+    separator
+      ? String(cell || '').split(separator)
+      : [String(cell || '')]
+  );
+
+  return (
+    parts
+      .map((part) => {
+        return part.trim();
+      })
+      .filter((part) => {
+        return (part.length > 0);
+      })
+  );
+};
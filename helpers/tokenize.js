@@ -0,0 +1,30 @@
+const foldText = require('./foldText');
+
+/**
+ * Splits a value into the words used for confidence ratings (on whitespace
+ *   and commas). Words are lowercased and accents are removed (see
+ *   foldText.js). Emails are also split into their local part and domain so a
+ *   shared domain doesn't hide a matching local part
+ * @param {*} value - the value to split
+ * @return {string[]} the nonempty words in the value
+ */
+module.exports = (value) => {
+  const words = [];
+  foldText(value)
+    .split(/[\s,]+/)
+    .forEach((word) => {
+      // Skip empty words
+      if (word.length === 0) {
+        return;
+      }
+      words.push(word);
+
+      // Split emails
+      const atIndex = word.indexOf('@');
+      if (atIndex > 0 && atIndex < word.length - 1) {
+        words.push(word.substring(0, atIndex));
+        words.push(word.substring(atIndex));
+      }
+    });
+  return words;
+};
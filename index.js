@@ -5,46 +5,198 @@ const preProcessUsers = require('./preProcess/users');
 // Import Search/Matching Functionality
 const genSearchFunctions = require('./genSearchFunctions');
 
+// Import Post-processors
+const resolveRow = require('./resolveRow');
+const groupBySection = require('./groupBySection');
+const exportCSV = require('./export/csv');
+const exportGradebook = require('./export/gradebook');
+
 // Import helpers
-const genPropToCellToUser = require('./helpers/genPropToCellToUser');
+const separateRows = require('./helpers/separateRows');
+const findMissingUsers = require('./helpers/findMissingUsers');
+const DEFAULT_NICKNAMES = require('./helpers/defaultNicknames');
+const DEFAULT_NORMALIZERS = require('./helpers/defaultNormalizers');
+const propNameMap = require('./helpers/propNameMap');
+const genNormalize = require('./helpers/genNormalize');
+const genPropToCellToUsers = require('./helpers/genPropToCellToUsers');
+const genMinToMatch = require('./helpers/genMinToMatch');
+const findNameColGroups = require('./helpers/findNameColGroups');
+const combineNameCells = require('./helpers/combineNameCells');
+const splitCell = require('./helpers/splitCell');
+const findColSlots = require('./helpers/findColSlots');
+const genProvenance = require('./helpers/genProvenance');
+const pickBestSheet = require('./helpers/pickBestSheet');
+const genHeaderAnalyzer = require('./helpers/genHeaderAnalyzer');
+const DEFAULT_HEADER_KEYWORDS = require('./helpers/defaultHeaderKeywords');
+const DEFAULT_MESSAGES = require('./helpers/defaultMessages');
+const genLegacyFields = require('./helpers/genLegacyFields');
+const findSectionCol = require('./helpers/findSectionCol');
+const genAliasStore = require('./helpers/genAliasStore');
+const genAliasMap = require('./helpers/genAliasMap');
+const genSectionChecker = require('./helpers/genSectionChecker');
 
-// Constants
-const ANY_NUMBER = 'any';
-const AT_LEAST_ONE = 'at-least-one';
-const AUTO_DETECT = 'auto-detect';
+// Import constants
+const {
+  AUTO_DETECT,
+  COL_TYPES,
+  COL_TYPE_SOURCES,
+  ERROR_CODES,
+} = require('./constants');
 
-const COL_TYPES = {
-  DATA: 'data', // just data, no matchable parameters
-  STUDENT: 'student', // student information
-  TEACHING_TEAM_MEMBER: 'teaching team member', // teaching team member
-};
+// Separators that may be used to list multiple people in one cell
+const MULTI_VALUE_SEPARATORS = [';', ',', '|', '/', '&', '\n', ' and '];
+
+// Bonuses added to a column's score when its header names the property or
+// type (the rest of the score is the share of cells that match, from 0 to 1)
+const HEADER_PROPERTY_WEIGHT = 0.25;
+const HEADER_TYPE_WEIGHT = 0.25;
+
+// The max number of candidate types and props to list for each column
+const MAX_COL_CANDIDATES = 3;
+
+// Props that hold names, which can also match in the other name order or with
+// more or fewer middle names
+const NAME_PROPS = ['fullName', 'sortableName'];
+
+// Columns whose share of matching cells is within this much of the threshold
+// are marked as uncertain
+const DEFAULT_UNCERTAINTY_MARGIN = 0.1;
 
 /**
- * Checks if the actual number of users per row matches the expected number
- * @param {string} type - the type of user we are checking for
- * @param {string|number} expected - the expected number of users per row or
- *   ANY_NUMBER if any number is allowed or AT_LEAST_ONE if the number must be
- *   positive
- * @param {number} actual - the actual number of users in the row
- * @return {boolean} true if the actual number matches the expected
+ * Finds the index of a column
+ * @param {string[]} headers - the headers of the CSV
+ * @param {string|number} column - the header or index of the column
+ * @param {string} [referrer=Column hint] - what refers to the column (used
+ *   in the error message if the column can't be found)
+ * @return {number} the index of the column
  */
-const genNumPerRowErrorMessage = (type, expected, actual) => {
-  if (expected === ANY_NUMBER) {
-    // No error
-    return null;
+const findColIndex = (headers, column, referrer = 'Column hint') => {
+  const colIndex = (
+    (typeof column === 'number')
+      ? column
+      : headers.findIndex((header) => {
+        return (header.trim().toLowerCase() === column.trim().toLowerCase());
+      })
+  );
+  if (colIndex < 0 || colIndex >= headers.length) {
+    throw new Error(`${referrer} refers to the column "${column}" but that column could not be found in the CSV`);
   }
-  if (expected === AT_LEAST_ONE) {
-    return (
-      (actual && actual > 0)
-        ? null // No error
-        : `We need at least one ${type} matched to this row but no ${type}s matched. Maybe this row's data is different from info in the Canvas roster.`
+  return colIndex;
+};
+
+/**
+ * Turns caller-supplied column hints into column types and props
+ * @param {string[]} headers - the headers of the CSV
+ * @param {object[]} [columnHints=[]] - list of column hints in the form
+ *   { column, type, property, separator } (see README.md for more info)
+ * @param {string[]} poolNames - the names of the pools of users, which are
+ *   the types a matching column can have
+ * @return {object} map of column index => { type, prop, colIndices, separator }
+ *   for each column that was pinned by a hint
+ */
+const resolveColumnHints = (headers, columnHints = [], poolNames = []) => {
+  // Create a map of understandable property name => prop
+  const propertyToProp = {};
+  Object.keys(propNameMap).forEach((prop) => {
+    propertyToProp[propNameMap[prop]] = prop;
+  });
+
+  const colIndexToTypeAndProp = {};
+  columnHints.forEach((columnHint) => {
+    const { type, property } = columnHint;
+
+    // Validate type and property
+    const validTypes = [...poolNames, COL_TYPES.DATA, COL_TYPES.EXCLUDED];
+    if (!validTypes.includes(type)) {
+      throw new Error(`Column hint has an invalid type "${type}". Type must be one of: ${validTypes.join(', ')}`);
+    }
+    const isMatchingColumn = (
+      type !== COL_TYPES.DATA
+      && type !== COL_TYPES.EXCLUDED
     );
+    if (isMatchingColumn && !propertyToProp[property]) {
+      throw new Error(`Column hint has an invalid property "${property}". Property must be one of: ${Object.keys(propertyToProp).join(', ')}`);
+    }
+
+    // Find the column(s). A list of columns forms a name group
+    const colIndices = (
+      Array.isArray(columnHint.column)
+        ? columnHint.column
+        : [columnHint.column]
+    ).map((column) => {
+      return findColIndex(headers, column);
+    });
+
+    colIndices.forEach((colIndex) => {
+      if (colIndexToTypeAndProp[colIndex]) {
+        throw new Error(`More than one column hint refers to the column "${headers[colIndex]}"`);
+      }
+      colIndexToTypeAndProp[colIndex] = {
+        type,
+        prop: (isMatchingColumn ? propertyToProp[property] : null),
+        colIndices: (isMatchingColumn ? colIndices : [colIndex]),
+        separator: (isMatchingColumn ? (columnHint.separator || null) : null),
+      };
+    });
+  });
+
+  return colIndexToTypeAndProp;
+};
+
+/**
+ * Gathers the pools of users to match with. Callers either pass pools or use
+ *   the student and teaching team member options, which become pools named
+ *   "student" and "teaching team member"
+ * @param {object} opts - the options passed to the matcher
+ * @return {object} map of pool name => { users, onlyOnce, numPerRow,
+ *   headerKeywords } with defaults filled in
+ */
+const resolvePools = (opts) => {
+  const usesLegacyOpts = [
+    'students',
+    'teachingTeamMembers',
+    'studentOnlyOnce',
+    'teachingTeamMemberOnlyOnce',
+    'numStudentsPerRow',
+    'numTeachingTeamMembersPerRow',
+  ].some((key) => {
+    return (opts[key] !== undefined);
+  });
+  if (opts.pools && usesLegacyOpts) {
+    throw new Error('Use either pools or the student and teaching team member options, not both');
   }
-  return (
-    (expected === actual)
-      ? null // No error
-      : `We need ${expected} ${type}${expected === 1 ? '' : 's'} matched to this row but ${actual} matched instead. Maybe this row's data is different from info in the Canvas roster.`
-  );
+
+  const pools = opts.pools || {
+    [COL_TYPES.STUDENT]: {
+      users: opts.students,
+      onlyOnce: opts.studentOnlyOnce,
+      numPerRow: opts.numStudentsPerRow,
+    },
+    [COL_TYPES.TEACHING_TEAM_MEMBER]: {
+      users: opts.teachingTeamMembers,
+      onlyOnce: opts.teachingTeamMemberOnlyOnce,
+      numPerRow: opts.numTeachingTeamMembersPerRow,
+    },
+  };
+
+  const resolvedPools = {};
+  Object.keys(pools).forEach((poolName) => {
+    if (poolName === COL_TYPES.DATA || poolName === COL_TYPES.EXCLUDED) {
+      throw new Error(`"${poolName}" can't be used as a pool name because it is a column type`);
+    }
+    const pool = pools[poolName] || {};
+    resolvedPools[poolName] = {
+      users: pool.users || [],
+      onlyOnce: !!pool.onlyOnce,
+      numPerRow: (
+        (pool.numPerRow !== undefined && pool.numPerRow !== null)
+          ? pool.numPerRow
+          : AUTO_DETECT
+      ),
+      headerKeywords: pool.headerKeywords || [],
+    };
+  });
+  return resolvedPools;
 };
 
 /**
@@ -53,6 +205,13 @@ const genNumPerRowErrorMessage = (type, expected, actual) => {
  *   string contents of a CSV file with one header row, or a processed csv file
  *   in the form:
  *   { headers: ['Col 1 Header', ...], rows: [['Row 1 Cell 1', ...], ['R2 C2']]}
+ * @param {object} [pools] - the pools of users to match with, in the form
+ *   pool name => { users, onlyOnce, numPerRow, headerKeywords } where users
+ *   is a list of Canvas users, onlyOnce is true if each user in the pool can
+ *   only show up once in the CSV, numPerRow works like numStudentsPerRow, and
+ *   headerKeywords lists extra header keywords that name the pool. Leave out
+ *   to use the student and teaching team member options below, which become
+ *   pools named "student" and "teaching team member"
  * @param {User[]} [students] - a list of Canvas student objects to match
  *   with. Must be included if matching students
  * @param {User[]} [teachingTeamMembers] - a list of Canvas teaching team
@@ -71,6 +230,48 @@ const genNumPerRowErrorMessage = (type, expected, actual) => {
  *   of teaching team members, or "at-least-one" for at least one
  *   teaching team member per row, or leave out to auto detect the number of
  *   teaching team members per row based on the average number of per row
+ * @param {boolean} [fuzzyMatching] - if true, cells that don't exactly match
+ *   anyone are matched to users with similar names, emails, or login ids
+ *   (typos and nicknames) as long as one user is a clear winner
+ * @param {object} [nicknames=DEFAULT_NICKNAMES] - nickname dictionary used
+ *   for fuzzy matching, in the form formal name => list of nicknames
+ * @param {object} [normalizers=DEFAULT_NORMALIZERS] - custom functions that
+ *   turn raw values into the form used for comparison, in the form
+ *   property => (value) => normalized value. Custom normalizers override the
+ *   defaults for their property and must return the same value when applied
+ *   twice
+ * @param {number} [maxPotentialUsers=all users] - the max number of
+ *   potential students and potential teaching team members to list for each
+ *   unmatched row (the ones with the highest confidence are kept)
+ * @param {object[]} [columnHints] - list of column hints that pin columns to
+ *   a type and property instead of auto-detecting them, in the form
+ *   { column, type, property, separator } where column is a header, a column
+ *   index, or a list of headers/indices that together form a name, type is
+ *   a pool name, "data", or "excluded", property is required for columns of
+ *   a pool, and separator is optional and used if the column lists multiple
+ *   people per cell
+ * @param {string|number|boolean} [sectionColumn=auto detect] - the header or
+ *   index of the column that lists each row's section(s), or false to turn
+ *   off section detection. Sections are only used if users have a sections
+ *   field (a list of section names, ids, or Canvas sections in the form
+ *   { id, name }, or a string of section names separated by semicolons)
+ * @param {boolean} [requireSectionMatch] - if true, rows with users who
+ *   aren't in the section listed in the row are unmatched (otherwise, they
+ *   are only listed in the row's sectionMismatches)
+ * @param {object} [messages=DEFAULT_MESSAGES] - custom message catalog
+ *   entries used to describe why rows are unmatched, in the form
+ *   error code => (error) => message, plus join: (messages) => errors string.
+ *   Custom entries override the defaults for their code
+ * @param {string|object} [aliasStore] - where aliases of users are saved:
+ *   the path of a JSON file or an adapter in the form { load, save } where
+ *   load() returns the list of saved aliases and save(aliases) replaces them.
+ *   Saved aliases are checked after exact lookups, and resolveRow saves new
+ *   aliases into the store
+ * @param {string|number} [aliasScope] - the scope of this run (e.g. a course
+ *   id). Only global aliases and aliases saved under this scope are used
+ * @param {number} [aliasLifetimeDays] - the number of days that aliases saved
+ *   by resolveRow last (leave out to keep them until they are removed from
+ *   the store)
  * @return {object} the results (see README.md for more info)
  */
 module.exports = (opts) => {
@@ -79,393 +280,772 @@ module.exports = (opts) => {
   /*------------------------------------------------------------------------*/
 
   const {
-    studentOnlyOnce,
-    teachingTeamMemberOnlyOnce,
+    fuzzyMatching,
+    nicknames,
   } = opts;
-  const { headers, rows } = preProcessCSV(opts.csv);
-  const students = preProcessUsers(opts.students);
-  const teachingTeamMembers = preProcessUsers(opts.teachingTeamMembers);
-  let numStudentsPerRow = (
-    (opts.numStudentsPerRow !== undefined && opts.numStudentsPerRow !== null)
-      ? opts.numStudentsPerRow
-      : AUTO_DETECT
+  const pools = resolvePools(opts);
+  const poolNames = Object.keys(pools);
+  const maxPotentialUsers = (
+    (opts.maxPotentialUsers !== undefined && opts.maxPotentialUsers !== null)
+      ? opts.maxPotentialUsers
+      : Infinity
   );
-  let numTeachingTeamMembersPerRow = (
-    (
-      opts.numTeachingTeamMembersPerRow !== undefined
-      && opts.numTeachingTeamMembersPerRow !== null
-    )
-      ? opts.numTeachingTeamMembersPerRow
-      : AUTO_DETECT
+  const normalize = genNormalize(opts.normalizers);
+  const messages = {
+    ...DEFAULT_MESSAGES,
+    ...(opts.messages || {}),
+  };
+  const aliasStore = (
+    (opts.aliasStore !== undefined && opts.aliasStore !== null)
+      ? genAliasStore(opts.aliasStore)
+      : null
   );
-
-  if (
-    (
-      !students
-      || students.length === 0
-      || Object.keys(students).length === 0
-    )
-    && (
-      !teachingTeamMembers
-      || teachingTeamMembers.length === 0
-      || Object.keys(teachingTeamMembers).length === 0
-    )
-  ) {
+  const aliasScope = (
+    (opts.aliasScope !== undefined && opts.aliasScope !== null)
+      ? String(opts.aliasScope)
+      : null
+  );
+  const headerKeywords = opts.headerKeywords || {};
+  const typeToKeywords = { ...(headerKeywords.types || {}) };
+  poolNames.forEach((poolName) => {
+    typeToKeywords[poolName] = [
+      ...(typeToKeywords[poolName] || []),
+      ...pools[poolName].headerKeywords,
+    ];
+  });
+  const analyzeHeader = genHeaderAnalyzer(
+    {
+      ...headerKeywords,
+      types: typeToKeywords,
+    },
+    poolNames
+  );
+  const thresholdOpts = {
+    matchThreshold: opts.matchThreshold,
+    minMatchingCells: opts.minMatchingCells,
+  };
+  const uncertaintyMargin = (
+    (opts.uncertaintyMargin !== undefined && opts.uncertaintyMargin !== null)
+      ? opts.uncertaintyMargin
+      : DEFAULT_UNCERTAINTY_MARGIN
+  );
+  const poolToUsers = {}; // pool name => list of simplified users
+  poolNames.forEach((poolName) => {
+    poolToUsers[poolName] = preProcessUsers(pools[poolName].users, normalize);
+  });
+  const allUsers = [].concat(...Object.values(poolToUsers));
+  const {
+    headers,
+    rows,
+    rowIndices,
+    lineNumbers,
+    skippedRows,
+    repairedRows,
+    settings: csvSettings,
+  } = preProcessCSV(opts.csv, {
+    delimiter: opts.delimiter,
+    encoding: opts.encoding,
+    headerRow: opts.headerRow,
+    raggedRows: opts.raggedRows,
+    mergeColumn: opts.mergeColumn,
+    sheet: opts.sheet,
+    pickSheet: (sheets) => {
+      return pickBestSheet({
+        sheets,
+        normalize,
+        users: allUsers,
+      });
+    },
+  });
+  if (allUsers.length === 0) {
     // No users to match with
     throw new Error('No users to match with, or all users included are empty');
   }
 
   // Create maps
   const idToFullUser = {}; // canvasId => user
-  (opts.students || []).forEach((student) => {
-    idToFullUser[student.id] = student;
-  });
-  (opts.teachingTeamMembers || []).forEach((teachingTeamMember) => {
-    idToFullUser[teachingTeamMember.id] = teachingTeamMember;
+  poolNames.forEach((poolName) => {
+    pools[poolName].users.forEach((user) => {
+      idToFullUser[user.id] = user;
+    });
   });
 
   /*------------------------------------------------------------------------*/
   /*                   Auto-detect Column Types and Prop                    */
   /*------------------------------------------------------------------------*/
 
-  const colIndexToTypeAndProp = {}; // column index => { type, prop }
+  // column index => { type, prop, colIndices, separator } where colIndices
+  // lists all columns that are combined to form this column's value and
+  // separator is the separator between people in multi-valued cells (or null)
+  // Start with the columns that the caller pinned
+  const colIndexToTypeAndProp = resolveColumnHints(
+    headers,
+    opts.columnHints,
+    poolNames
+  );
+  const isPinned = {}; // column index => true if pinned by a column hint
+  Object.keys(colIndexToTypeAndProp).forEach((colIndex) => {
+    isPinned[colIndex] = true;
+  });
 
-  // Helper maps
-  const pods = [
-    {
-      propToCellToUser: genPropToCellToUser(students),
-      type: COL_TYPES.STUDENT,
-    },
-    {
-      propToCellToUser: genPropToCellToUser(teachingTeamMembers),
-      type: COL_TYPES.TEACHING_TEAM_MEMBER,
-    },
-  ];
+  // Helper maps (names are also looked up the way matching looks them up,
+  // but without fuzzy matching or aliases)
+  const pods = poolNames.map((poolName) => {
+    return {
+      propToCellToUsers: genPropToCellToUsers(poolToUsers[poolName], normalize),
+      getMatchDetails: (
+        genSearchFunctions(poolToUsers[poolName], { normalize })
+          .getMatchDetails
+      ),
+      type: poolName,
+    };
+  });
+
+  /**
+   * Checks if a normalized value identifies users of a pod. Names also count
+   *   if they match in the other name order or with more or fewer middle
+   *   names, unless they exactly match the other name prop (so a column of
+   *   sortable names is still read as sortable names)
+   * @param {object} pod - the pod in the form
+   *   { propToCellToUsers, getMatchDetails, type }
+   * @param {string} prop - the prop to look the value up in
+   * @param {string} value - the normalized value
+   * @return {boolean} true if the value identifies users
+   */
+  const isResolved = (pod, prop, value) => {
+    const { propToCellToUsers, getMatchDetails } = pod;
+    if (propToCellToUsers[prop][value]) {
+      return true;
+    }
+    if (!NAME_PROPS.includes(prop)) {
+      return false;
+    }
+    const isOtherPropExact = NAME_PROPS.some((otherProp) => {
+      return (
+        propToCellToUsers[otherProp]
+        && propToCellToUsers[otherProp][normalize(otherProp, value)]
+      );
+    });
+    return (!isOtherPropExact && !!getMatchDetails(prop, value));
+  };
 
-  // Loop through each column and detect column type and prop
-  for (let colIndex = 0; colIndex < headers.length; colIndex++) {
+  // Loop through each column that wasn't pinned and detect column type and
+  // prop
+  const colIndicesToDetect = (
+    headers
+      .map((_, colIndex) => {
+        return colIndex;
+      })
+      .filter((colIndex) => {
+        return !isPinned[colIndex];
+      })
+  );
+  colIndicesToDetect.forEach((colIndex) => {
     // Get all cells in the column
     const cells = rows.map((row) => {
       return row[colIndex];
     });
 
-    // For each type and prop, calculate the number of cells that match
-    const typeData = []; // array of { type, prop, numMatching }
+    // Count the nonempty cells
+    const numNonempty = cells.filter((cell) => {
+      return (cell.trim().length > 0);
+    }).length;
+
+    // Calculate the minimum number to match
+    const minToMatch = genMinToMatch(numNonempty, thresholdOpts);
+
+    // Only try separators that show up in the column (other separators can't
+    // lead to more matches than reading cells as single values)
+    const separators = MULTI_VALUE_SEPARATORS.filter((separator) => {
+      return cells.some((cell) => {
+        return cell.includes(separator);
+      });
+    });
+
+    // Split and normalize the cells once per prop and separator (the same
+    // values are checked against each type of user)
+    const cellValuesCache = {}; // "prop|separator" => list of values per cell
+    const getCellValues = (prop, separator) => {
+      const key = `${prop}|${separator}`;
+      if (!cellValuesCache[key]) {
+        cellValuesCache[key] = cells.map((cell) => {
+          return splitCell(cell, separator).map((value) => {
+            return normalize(prop, value);
+          });
+        });
+      }
+      return cellValuesCache[key];
+    };
+
+    // For each type, prop, and separator, calculate the number of cells that
+    // match
+    const typeData = []; // array of { type, prop, separator, numMatching }
     // Loop through types
     pods.forEach((pod) => {
       const {
-        propToCellToUser,
+        propToCellToUsers,
         type,
       } = pod;
 
       // Loop through props
-      Object.keys(propToCellToUser).forEach((prop) => {
-        let numMatching = 0;
-        let numNonempty = 0;
-        cells.forEach((cell) => {
-          if (propToCellToUser[prop][cell.trim().toLowerCase()]) {
-            // Found another match
-            numMatching += 1;
-          }
-          if (cell.trim().length > 0) {
-            numNonempty += 1;
+      Object.keys(propToCellToUsers).forEach((prop) => {
+        // Try reading cells as single values, then as lists of values, and
+        // keep the separator that resolves the most values. Single values are
+        // tried first so a separator is only chosen if it resolves more
+        // values (a whole list can look like one value, e.g. the login id of
+        // the first email in the list)
+        let best = null; // { separator, numMatching, numResolved }
+        [null, ...separators].forEach((separator) => {
+          let numMatching = 0;
+          let numResolved = 0;
+          getCellValues(prop, separator).forEach((values) => {
+            // A cell only matches if every value in it matches (values shared
+            // by more than one user still show what the column holds)
+            const numResolvedInCell = values.filter((value) => {
+              return isResolved(pod, prop, value);
+            }).length;
+            numResolved += numResolvedInCell;
+            if (values.length > 0 && numResolvedInCell === values.length) {
+              // Found another match
+              numMatching += 1;
+            }
+          });
+          if (!best || numResolved > best.numResolved) {
+            best = {
+              separator,
+              numMatching,
+              numResolved,
+            };
           }
         });
 
-        // Calculate the minimum number to match (at least 60%, min 1)
-        const minToMatch = Math.max(1, Math.floor(numNonempty * 0.6));
-
         // Save the data
         typeData.push({
           type,
           prop,
           minToMatch,
-          numMatching,
+          separator: best.separator,
+          numMatching: best.numMatching,
         });
       });
     });
 
-    // Sort typeData to find the type and prop with the most that match
-    typeData.sort((a, b) => {
-      if (a.numMatching < b.numMatching) {
-        return 1;
+    // Score each type, prop, and separator: the share of nonempty cells that
+    // match, plus a bonus if the header names the property or type (e.g.
+    // "Grader Email")
+    const headerAnalysis = analyzeHeader(headers[colIndex]);
+    const scoredTypeData = typeData.map((datum) => {
+      let score = (
+        (numNonempty > 0)
+          ? (datum.numMatching / numNonempty)
+          : 0
+      );
+      if (headerAnalysis.properties.includes(propNameMap[datum.prop])) {
+        score += HEADER_PROPERTY_WEIGHT;
       }
-      if (a.numMatching > b.numMatching) {
-        return -1;
+      if (headerAnalysis.types.includes(datum.type)) {
+        score += HEADER_TYPE_WEIGHT;
+      }
+      return {
+        ...datum,
+        score: Math.round(score * 1000) / 1000,
+      };
+    });
+
+    // Sort to find the type and prop with the best score
+    // (sort is stable, so ties go to whichever was tried first)
+    scoredTypeData.sort((a, b) => {
+      return b.score - a.score;
+    });
+
+    // List the best candidates (each type and prop once, with its best
+    // separator) so callers can see what else the column could have been
+    const isListed = {}; // "type|prop" => true if already listed
+    const candidates = [];
+    scoredTypeData.forEach((datum) => {
+      const key = `${datum.type}|${datum.prop}`;
+      if (
+        isListed[key]
+        || datum.numMatching === 0
+        || candidates.length >= MAX_COL_CANDIDATES
+      ) {
+        return;
       }
-      return 0;
+      isListed[key] = true;
+      candidates.push({
+        type: datum.type,
+        property: propNameMap[datum.prop],
+        separator: datum.separator,
+        numMatching: datum.numMatching,
+        score: datum.score,
+      });
+    });
+
+    // Only types and props that match the min num to match can be chosen. If
+    // none do, it is a data column
+    const bestMatch = scoredTypeData.find((datum) => {
+      return (datum.numMatching >= datum.minToMatch);
     });
 
-    // If best match doesn't have the min num to match, it is a data row
-    const bestMatch = typeData[0];
-    if (bestMatch.numMatching < bestMatch.minToMatch) {
+    // The column is uncertain if its share of matching cells came close to
+    // the threshold (on either side)
+    const topMatch = bestMatch || scoredTypeData[0];
+    const threshold = (numNonempty > 0 ? minToMatch / numNonempty : 0);
+    const isUncertain = !!(
+      topMatch
+      && topMatch.numMatching > 0
+      && numNonempty > 0
+      && (
+        Math.abs((topMatch.numMatching / numNonempty) - threshold)
+        < uncertaintyMargin
+      )
+    );
+    const detectionInfo = {
+      numNonempty,
+      minToMatch,
+      candidates,
+      isUncertain,
+    };
+
+    if (!bestMatch) {
       colIndexToTypeAndProp[colIndex] = {
+        ...detectionInfo,
         type: COL_TYPES.DATA,
         prop: null,
+        colIndices: [colIndex],
+        separator: null,
+        score: (scoredTypeData.length > 0 ? scoredTypeData[0].score : 0),
       };
     } else {
-      // We found a good match! Use type and prop of the best match
+      // We found a good match! Use type, prop, and separator of the best match
       colIndexToTypeAndProp[colIndex] = {
+        ...detectionInfo,
         type: bestMatch.type,
         prop: bestMatch.prop,
+        colIndices: [colIndex],
+        separator: bestMatch.separator,
+        score: bestMatch.score,
+      };
+    }
+  });
+
+  // Find groups of data columns that form a name when combined
+  // (e.g. "First Name" + "Last Name")
+  const dataColIndices = colIndicesToDetect.filter((colIndex) => {
+    return (colIndexToTypeAndProp[colIndex].type === COL_TYPES.DATA);
+  });
+  const nameColGroups = findNameColGroups({
+    rows,
+    pods,
+    normalize,
+    thresholdOpts,
+    colIndices: dataColIndices,
+  });
+  nameColGroups.forEach((nameColGroup) => {
+    const {
+      type,
+      prop,
+      colIndices,
+      numMatching,
+      numNonempty,
+      minToMatch,
+    } = nameColGroup;
+
+    // The group is detected like one column made of the combined cells
+    const score = Math.round((numMatching / numNonempty) * 1000) / 1000;
+    const threshold = minToMatch / numNonempty;
+    const detectionInfo = {
+      numNonempty,
+      minToMatch,
+      score,
+      candidates: [{
+        type,
+        numMatching,
+        score,
+        property: propNameMap[prop],
+        separator: null,
+      }],
+      isUncertain: (
+        Math.abs((numMatching / numNonempty) - threshold) < uncertaintyMargin
+      ),
+    };
+    colIndices.forEach((colIndex) => {
+      colIndexToTypeAndProp[colIndex] = {
+        ...detectionInfo,
+        type,
+        prop,
+        colIndices,
+        separator: null,
+      };
+    });
+  });
+
+  // Find the column that lists each row's section(s)
+  let sectionColumn = null; // { colIndex, header, source } if found
+  if (
+    opts.sectionColumn !== undefined
+    && opts.sectionColumn !== null
+    && opts.sectionColumn !== false
+  ) {
+    const colIndex = findColIndex(headers, opts.sectionColumn, 'sectionColumn');
+    sectionColumn = {
+      colIndex,
+      header: headers[colIndex],
+      source: COL_TYPE_SOURCES.PINNED,
+    };
+  } else if (opts.sectionColumn !== false) {
+    const colIndex = findSectionCol({
+      headers,
+      rows,
+      thresholdOpts,
+      users: Object.values(idToFullUser),
+      colIndices: colIndicesToDetect.filter((dataColIndex) => {
+        const { type } = colIndexToTypeAndProp[dataColIndex];
+        return (type === COL_TYPES.DATA);
+      }),
+    });
+    if (colIndex !== null) {
+      sectionColumn = {
+        colIndex,
+        header: headers[colIndex],
+        source: COL_TYPE_SOURCES.DETECTED,
       };
     }
   }
+  const sectionColIndex = (sectionColumn ? sectionColumn.colIndex : null);
 
   /*------------------------------------------------------------------------*/
   /*                         Create Search Functions                        */
   /*------------------------------------------------------------------------*/
 
-  const searchFunction = {
-    [COL_TYPES.STUDENT]: genSearchFunctions(students),
-    [COL_TYPES.TEACHING_TEAM_MEMBER]: genSearchFunctions(teachingTeamMembers),
+  const searchOpts = {
+    fuzzyMatching,
+    nicknames,
+    normalize,
+    aliases: genAliasMap({
+      normalize,
+      aliases: (aliasStore ? aliasStore.load() : []),
+      scope: aliasScope,
+    }),
   };
+  const searchFunction = {}; // pool name => search functions
+  poolNames.forEach((poolName) => {
+    searchFunction[poolName] = genSearchFunctions(
+      poolToUsers[poolName],
+      searchOpts
+    );
+  });
 
   /*------------------------------------------------------------------------*/
   /*                            Perform Matching                            */
   /*------------------------------------------------------------------------*/
 
   // Perform matching for each row
-  const rowMatches = rows.map((row) => {
-    const studentMatches = new Set([]); // set of users
-    const teachingTeamMemberMatches = new Set([]); // set of users
+  const rowsOfCellMatches = []; // row position => list of cell matches
+  const rowMatches = rows.map((row, rowPosition) => {
+    const poolToMatches = {}; // pool name => set of users
+    poolNames.forEach((poolName) => {
+      poolToMatches[poolName] = new Set([]);
+    });
+    const fuzzyMatches = []; // list of matches that were not exact
+    const cellMatches = []; // list of every person listed in the row
+    rowsOfCellMatches[rowPosition] = cellMatches;
 
-    // Go through each column and find matches
-    row.forEach((cell, colIndex) => {
-      const { type, prop } = colIndexToTypeAndProp[colIndex];
+    // Go through each column and look up each person listed in it
+    const cellLookups = []; // list of { type, prop, ..., matchDetails }
+    row.forEach((_, colIndex) => {
+      const {
+        type,
+        prop,
+        colIndices,
+        separator,
+      } = colIndexToTypeAndProp[colIndex];
 
-      // Ignore column if it is only a data column
-      if (type === COL_TYPES.DATA) {
+      // Ignore column if it is only a data column or is excluded
+      if (type === COL_TYPES.DATA || type === COL_TYPES.EXCLUDED) {
         return;
       }
 
-      // Get search function
-      const { getMatch } = searchFunction[type];
-
-      // Find match
-      const match = getMatch(prop, cell);
-      if (!match) {
-        // No match! Ignore this cell
+      // Grouped columns are matched once, as part of their first column
+      if (colIndices[0] !== colIndex) {
         return;
       }
+      const fullCell = (
+        (colIndices.length > 1)
+          ? combineNameCells(
+            prop,
+            colIndices.map((groupColIndex) => {
+              return row[groupColIndex];
+            })
+          )
+          : row[colIndex]
+      );
 
-      // Add match to the appropriate list
-      if (type === COL_TYPES.STUDENT) {
-        // student
-        studentMatches.add(match);
-      } else {
-        // teachingTeamMember
-        teachingTeamMemberMatches.add(match);
-      }
+      // Get search function
+      const { getMatchDetails } = searchFunction[type];
+
+      // Look up each person listed in the cell
+      splitCell(fullCell, separator).forEach((cell) => {
+        if (String(cell || '').trim().length === 0) {
+          return;
+        }
+        cellLookups.push({
+          type,
+          prop,
+          colIndices,
+          separator,
+          cell,
+          matchDetails: getMatchDetails(prop, cell),
+        });
+      });
     });
 
-    // Return matches object
-    return {
-      students: Array.from(studentMatches),
-      teachingTeamMembers: Array.from(teachingTeamMemberMatches),
-    };
-  });
+    // Check users against the row's section(s)
+    const isInSection = genSectionChecker(
+      (sectionColIndex !== null)
+        ? row[sectionColIndex]
+        : ''
+    );
 
-  // Auto-detect the number of people per row (if not included in opts)
-  let totalNumStudents = 0;
-  let totalNumTeachingTeamMembers = 0;
-  let numRowsInCount = 0;
-  if (
-    numStudentsPerRow === AUTO_DETECT
-    || numTeachingTeamMembersPerRow === AUTO_DETECT
-  ) {
-    rowMatches.forEach((rowMatch) => {
-      // Only average for rows that have at least one match
-      if (
-        rowMatch.students.length > 0
-        || rowMatch.teachingTeamMembers.length > 0
-      ) {
-        totalNumStudents += rowMatch.students.length;
-        totalNumTeachingTeamMembers += rowMatch.teachingTeamMembers.length;
-        numRowsInCount += 1;
+    // Keep track of who was found without any doubt so cells that match more
+    // than one user can be settled by the rest of the row
+    const isFound = {}; // "type|canvasId" => true if found in the row
+    cellLookups.forEach(({ type, matchDetails }) => {
+      if (matchDetails && matchDetails.user) {
+        isFound[`${type}|${matchDetails.user.canvasId}`] = true;
       }
     });
-  }
-  if (numStudentsPerRow === AUTO_DETECT) {
-    numStudentsPerRow = Math.round(totalNumStudents / numRowsInCount);
-  }
-  if (numTeachingTeamMembersPerRow === AUTO_DETECT) {
-    numTeachingTeamMembersPerRow = (
-      Math.round(totalNumTeachingTeamMembers / numRowsInCount)
-    );
-  }
 
-  // Determine which students or teaching team members violate the "only once"
-  // rule so we can disqualify their rows later
-  const isDisqualified = {}; // canvasId => message for why someone is
-  // disqualified if they are disqualified
-  /**
-   * Finds disqualified users (shows up more than once but not allowed to show
-   *   up more than once)
-   * @param {string} type - the type of users to find and disqualify
-   */
-  const findDisqualified = (type) => {
-    const alreadySeen = {}; // canvasId => true if already seen in our search
-    rowMatches.forEach((rowMatch) => {
-      // Find relevant list of users for this row
-      const users = (
-        (type === COL_TYPES.STUDENT)
-          ? rowMatch.students
-          : rowMatch.teachingTeamMembers
-      );
+    // Go through each person and add them to the row
+    cellLookups.forEach((cellLookup) => {
+      const {
+        type,
+        prop,
+        colIndices,
+        separator,
+        cell,
+        matchDetails,
+      } = cellLookup;
 
-      // Mark the list of users as seen. If they were seen before, disqualify
-      // them!
-      users.forEach((user) => {
-        // Handle disqualified user
-        if (alreadySeen[user.canvasId]) {
-          // Disqualify this user
-          isDisqualified[user.canvasId] = `Each ${type} can only show up once in your CSV, but ${user.fullName} showed up more than once.`;
+      // If the cell matches more than one user, use the rest of the row (or
+      // else the row's section) to choose between them
+      let match = (matchDetails ? matchDetails.user : null);
+      let candidates = null;
+      let disambiguatedBy = null;
+      if (matchDetails && matchDetails.reason === 'ambiguous') {
+        const foundCandidates = matchDetails.candidates.filter((candidate) => {
+          return isFound[`${type}|${candidate.canvasId}`];
+        });
+        const sectionCandidates = matchDetails.candidates.filter(
+          (candidate) => {
+            return isInSection(idToFullUser[candidate.canvasId]);
+          }
+        );
+        if (foundCandidates.length === 1) {
+          [match] = foundCandidates;
+          disambiguatedBy = 'row';
+        } else if (sectionCandidates.length === 1) {
+          [match] = sectionCandidates;
+          disambiguatedBy = 'section';
         } else {
-          // Not yet disqualified. Mark as seen
-          alreadySeen[user.canvasId] = true;
+          ({ candidates } = matchDetails);
         }
-      });
-    });
-  };
-  if (studentOnlyOnce) {
-    findDisqualified(COL_TYPES.STUDENT);
-  }
-  if (teachingTeamMemberOnlyOnce) {
-    findDisqualified(COL_TYPES.TEACHING_TEAM_MEMBER);
-  }
+      }
 
-  // Separate rows into matched rows and unmatched rows
-  // To be matched, the row must not have disqualified users and must have the
-  // usual number of students and teachingTeamMembers in the row
-  const matchedRows = [];
-  const unmatchedRows = [];
-  rowMatches.forEach((rowMatch, i) => {
-    // Figure out if this row is disqualified (one of its matches is
-    // disqualified)
-    const unmatchedErrors = [];
-    [
-      rowMatch.students,
-      rowMatch.teachingTeamMembers,
-    ].forEach((users) => {
-      return users.forEach((user) => {
-        const message = isDisqualified[user.canvasId];
-        if (message) {
-          unmatchedErrors.push(message);
-        }
-        return !!message;
+      // Keep track of where each person came from
+      cellMatches.push({
+        type,
+        prop,
+        colIndices,
+        separator,
+        cell,
+        candidates,
+        disambiguatedBy,
+        user: match,
+        isFuzzy: !!(matchDetails && matchDetails.isFuzzy),
+        isAlias: !!(matchDetails && matchDetails.reason === 'alias'),
       });
-    });
 
-    // Figure out if this row has the wrong number of people in it
-    const numStudentsPerRowError = genNumPerRowErrorMessage(
-      COL_TYPES.STUDENT,
-      numStudentsPerRow,
-      rowMatch.students.length
-    );
-    if (numStudentsPerRowError) {
-      unmatchedErrors.push(numStudentsPerRowError);
-    }
-    const numTeachingTeamMembersPerRowError = genNumPerRowErrorMessage(
-      COL_TYPES.TEACHING_TEAM_MEMBER,
-      numTeachingTeamMembersPerRow,
-      rowMatch.teachingTeamMembers.length
-    );
-    if (numTeachingTeamMembersPerRowError) {
-      unmatchedErrors.push(numTeachingTeamMembersPerRowError);
-    }
+      if (!match) {
+        // No match! Ignore this person
+        return;
+      }
+
+      // Keep track of fuzzy matches so they can be reviewed
+      if (matchDetails.isFuzzy) {
+        fuzzyMatches.push({
+          type,
+          colIndices,
+          cell,
+          user: match,
+          reason: matchDetails.reason,
+          matchedValue: matchDetails.matchedValue,
+          distance: matchDetails.distance,
+        });
+      }
 
-    // Figure out if this row is unmatched
-    const isUnmatched = (unmatchedErrors.length > 0);
+      // Add match to the list of its pool
+      poolToMatches[type].add(match);
+    });
 
     // Extract data columns
-    const rawRow = rows[i];
-    const dataColumns = rawRow.filter((_, colIndex) => {
+    const dataColumns = row.filter((_, colIndex) => {
       const { type } = colIndexToTypeAndProp[colIndex];
       const isDataColumn = (type === COL_TYPES.DATA);
       return isDataColumn;
     });
 
-    // Turn errors list into one string
-    const errors = (
-      unmatchedErrors
-        .map((unmatchedError, errorIndex) => {
-          if (errorIndex > 0) {
-            return ` Also, ${unmatchedError.charAt(0).toLowerCase()}${unmatchedError.substring(1)}`;
-          }
-          return unmatchedError;
+    // Return matches object (replace simplified users with full users)
+    const usersByPool = {}; // pool name => list of full users
+    poolNames.forEach((poolName) => {
+      usersByPool[poolName] = (
+        Array.from(poolToMatches[poolName]).map((user) => {
+          return idToFullUser[user.canvasId];
         })
-        .join('')
-    );
+      );
+    });
+    return {
+      dataColumns,
+      rowIndex: rowIndices[rowPosition],
+      lineNumber: lineNumbers[rowPosition],
+      rawRow: row,
+      isManuallyResolved: false,
+      usersByPool,
+      ...genLegacyFields(usersByPool, 'users'),
+      fuzzyMatches: fuzzyMatches.map((fuzzyMatch) => {
+        return {
+          ...fuzzyMatch,
+          user: idToFullUser[fuzzyMatch.user.canvasId],
+        };
+      }),
+    };
+  });
 
-    // Handle unmatched row
-    if (isUnmatched) {
-      unmatchedRows.push({
-        rawRow,
-        dataColumns,
-        errors,
-        rowIndex: i,
-      });
-    } else {
-      // Handle matched row
-      matchedRows.push({
-        rawRow,
-        dataColumns,
-        students: rowMatch.students,
-        teachingTeamMembers: rowMatch.teachingTeamMembers,
-        rowIndex: i,
+  // Record which cells produced each user (replace simplified users with
+  // full users)
+  const colIndexToSlot = findColSlots(rowsOfCellMatches);
+  rowsOfCellMatches.forEach((cellMatches, rowPosition) => {
+    rowMatches[rowPosition].provenance = genProvenance({
+      colIndexToSlot,
+      headers,
+      cellMatches: cellMatches.map((cellMatch) => {
+        return {
+          ...cellMatch,
+          user: (
+            cellMatch.user
+              ? idToFullUser[cellMatch.user.canvasId]
+              : null
+          ),
+          candidates: (
+            cellMatch.candidates
+              ? cellMatch.candidates.map((candidate) => {
+                return idToFullUser[candidate.canvasId];
+              })
+              : null
+          ),
+        };
+      }),
+    });
+  });
+
+  // Auto-detect the number of people per row (if not included in opts)
+  const poolToTotal = {}; // pool name => total number of users in counted rows
+  let numRowsInCount = 0;
+  rowMatches.forEach((rowMatch) => {
+    // Only average for rows that have at least one match and whose cells
+    // clearly agree on who is in the row
+    const hasMatch = poolNames.some((poolName) => {
+      return (rowMatch.usersByPool[poolName].length > 0);
+    });
+    if (
+      rowMatch.provenance.conflicts.length === 0
+      && rowMatch.provenance.ambiguousCells.length === 0
+      && hasMatch
+    ) {
+      poolNames.forEach((poolName) => {
+        poolToTotal[poolName] = (
+          (poolToTotal[poolName] || 0)
+          + rowMatch.usersByPool[poolName].length
+        );
       });
+      numRowsInCount += 1;
     }
   });
+  const poolSettings = {}; // pool name => { onlyOnce, numPerRow, userIds }
+  poolNames.forEach((poolName) => {
+    const { onlyOnce, numPerRow, users } = pools[poolName];
+    poolSettings[poolName] = {
+      onlyOnce,
+      numPerRow: (
+        (numPerRow === AUTO_DETECT)
+          ? Math.round((poolToTotal[poolName] || 0) / numRowsInCount)
+          : numPerRow
+      ),
+      userIds: users.map((user) => {
+        return user.id;
+      }),
+    };
+  });
 
-  // Collect users to exclude
-  const usersToExclude = [];
-  const findExcluded = (type) => {
-    matchedRows.forEach((matchedRow) => {
-      // Find relevant list of users for this row
-      const users = (
-        (type === COL_TYPES.STUDENT)
-          ? matchedRow.students
-          : matchedRow.teachingTeamMembers
-      );
+  // Separate rows into matched rows and unmatched rows
+  const { matchedRows, unmatchedRows } = separateRows({
+    rowMatches,
+    sectionColIndex,
+    requireSectionMatch: !!opts.requireSectionMatch,
+    messages,
+    pools: poolSettings,
+  });
 
-      // Exclude all users in this row of the relevant type
-      users.forEach((user) => {
-        usersToExclude.push(user);
-      });
+  // Collect users to exclude from potential users (users that can only show
+  // up once and are already in a matched row)
+  const poolToExcluded = {}; // pool name => list of users to exclude
+  poolNames.forEach((poolName) => {
+    poolToExcluded[poolName] = [];
+    if (!poolSettings[poolName].onlyOnce) {
+      return;
+    }
+    matchedRows.forEach((matchedRow) => {
+      poolToExcluded[poolName].push(...matchedRow.usersByPool[poolName]);
     });
+  });
+
+  /**
+   * Rates how likely each user in a pool is to belong to a row (replaces
+   *   simplified users with full users)
+   * @param {string[]} row - the raw row
+   * @param {string} poolName - the name of the pool to rate
+   * @param {User[]} usersToExclude - the users to leave out
+   * @return {object[]} the ratings (see getConfidenceRatings in
+   *   genSearchFunctions.js)
+   */
+  const rateRow = (row, poolName, usersToExclude) => {
+    return (
+      searchFunction[poolName]
+        .getConfidenceRatings(row, usersToExclude, maxPotentialUsers)
+        .map((rating) => {
+          return {
+            ...rating,
+            user: idToFullUser[rating.user.canvasId],
+          };
+        })
+    );
   };
-  if (studentOnlyOnce) {
-    findExcluded(COL_TYPES.STUDENT);
-  }
-  if (teachingTeamMemberOnlyOnce) {
-    findExcluded(COL_TYPES.TEACHING_TEAM_MEMBER);
-  }
 
   // Add potential users based on confidence ratings to unmatched rows
   unmatchedRows.forEach((unmatchedRow, i) => {
-    // Extract data from unmatched row
-    const { rawRow } = unmatchedRow;
-
-    // Calculate confidence ratings
-    const potentialStudents = (
-      searchFunction[COL_TYPES.STUDENT].getConfidenceRatings(
-        rawRow,
-        usersToExclude
-      )
-    );
-    const potentialTeachingTeamMembers = (
-      searchFunction[COL_TYPES.TEACHING_TEAM_MEMBER].getConfidenceRatings(
-        rawRow,
-        usersToExclude
-      )
-    );
-
-    // Add to unmatched rows
-    unmatchedRows[i].potentialStudents = potentialStudents;
-    unmatchedRows[i].potentialTeachingTeamMembers = (
-      potentialTeachingTeamMembers
-    );
+    const potentialUsersByPool = {}; // pool name => list of ratings
+    poolNames.forEach((poolName) => {
+      potentialUsersByPool[poolName] = rateRow(
+        unmatchedRow.rawRow,
+        poolName,
+        poolToExcluded[poolName]
+      );
+    });
+    unmatchedRows[i] = {
+      ...unmatchedRow,
+      potentialUsersByPool,
+      ...genLegacyFields(potentialUsersByPool, 'potentials'),
+    };
   });
 
   /*------------------------------------------------------------------------*/
@@ -481,76 +1061,133 @@ module.exports = (opts) => {
 
   // Create column types
   const colTypes = headers.map((_, colIndex) => {
-    const { type, prop } = colIndexToTypeAndProp[colIndex];
+    const {
+      type,
+      prop,
+      colIndices,
+      separator,
+      score,
+      numNonempty,
+      minToMatch,
+      candidates,
+      isUncertain,
+    } = colIndexToTypeAndProp[colIndex];
 
     // Create more understandable property name
-    const propNameMap = {
-      canvasId: 'canvas-id',
-      fullName: 'name',
-      sortableName: 'sortable-name',
-      sisUserId: 'university-id',
-      loginId: 'login-id',
-      email: 'email',
-    };
     const property = propNameMap[prop];
 
     return {
       type,
       property,
+      colIndices,
+      separator,
+      score: (score === undefined ? null : score),
+      numNonempty: (numNonempty === undefined ? null : numNonempty),
+      minToMatch: (minToMatch === undefined ? null : minToMatch),
+      candidates: candidates || [],
+      isUncertain: !!isUncertain,
+      headerKeywords: analyzeHeader(headers[colIndex]).keywords,
+      slot: (
+        (colIndexToSlot[colIndices[0]] === undefined)
+          ? null
+          : colIndexToSlot[colIndices[0]]
+      ),
+      source: (
+        isPinned[colIndex]
+          ? COL_TYPE_SOURCES.PINNED
+          : COL_TYPE_SOURCES.DETECTED
+      ),
     };
   });
 
-  // For matched rows, replace simplified users with full users
-  const matchedRowsWithFullUsers = matchedRows.map((matchedRow) => {
-    const newMatchedRow = matchedRow;
-
-    // Swap for full student object
-    newMatchedRow.students = newMatchedRow.students.map((student) => {
-      return idToFullUser[student.canvasId];
+  // Find users that never showed up in a matched row
+  const missingUsersByPool = {}; // pool name => list of missing users
+  poolNames.forEach((poolName) => {
+    missingUsersByPool[poolName] = findMissingUsers({
+      matchedRows,
+      unmatchedRows,
+      users: pools[poolName].users,
+      pool: poolName,
     });
-    newMatchedRow.teachingTeamMembers = (
-      newMatchedRow.teachingTeamMembers.map((teachingTeamMember) => {
-        return idToFullUser[teachingTeamMember.canvasId];
-      })
-    );
-
-    return newMatchedRow;
   });
 
-  // For unmatched rows, replace simplified users with full users
-  const unmatchedRowsWithFullUsers = unmatchedRows.map((unmatchedRow) => {
-    const newUnmatchedRow = unmatchedRow;
-
-    // Swap for full student object
-    newUnmatchedRow.potentialStudents = (
-      newUnmatchedRow.potentialStudents.map((obj) => {
-        const newObj = obj;
-        newObj.user = idToFullUser[obj.user.canvasId];
-        return newObj;
-      })
-    );
-    newUnmatchedRow.potentialTeachingTeamMembers = (
-      newUnmatchedRow.potentialTeachingTeamMembers.map((obj) => {
-        const newObj = obj;
-        newObj.user = idToFullUser[obj.user.canvasId];
-        return newObj;
-      })
-    );
-
-    return newUnmatchedRow;
+  // List the final settings of each pool (and the values older callers read)
+  const poolToNumPerRow = {}; // pool name => number per row
+  const poolToOnlyOnce = {}; // pool name => true if only once
+  poolNames.forEach((poolName) => {
+    poolToNumPerRow[poolName] = poolSettings[poolName].numPerRow;
+    poolToOnlyOnce[poolName] = poolSettings[poolName].onlyOnce;
   });
 
   // Create full object to return
   return {
     colTypes,
     dataHeaders,
-    numStudentsPerRow,
-    numTeachingTeamMembersPerRow,
-    matchedRows: matchedRowsWithFullUsers,
-    unmatchedRows: unmatchedRowsWithFullUsers,
+    pools: poolSettings,
+    ...genLegacyFields(poolToNumPerRow, 'numPerRow'),
+    ...genLegacyFields(poolToOnlyOnce, 'onlyOnce'),
+    matchedRows,
+    unmatchedRows,
+    missingUsersByPool,
+    ...genLegacyFields(missingUsersByPool, 'missing'),
+    sectionColumn,
+    requireSectionMatch: !!opts.requireSectionMatch,
+    maxPotentialUsers: (
+      (maxPotentialUsers === Infinity)
+        ? null
+        : maxPotentialUsers
+    ),
+    aliases: (
+      aliasStore
+        ? {
+          store: (
+            (typeof opts.aliasStore === 'string')
+              ? opts.aliasStore
+              : null
+          ),
+          scope: aliasScope,
+          lifetimeDays: (
+            (opts.aliasLifetimeDays !== undefined)
+              ? opts.aliasLifetimeDays
+              : null
+          ),
+        }
+        : null
+    ),
+    idToFullUser,
     csv: {
       headers,
       rows,
     },
+    csvSettings,
+    skippedRows,
+    repairedRows,
   };
 };
+
+// Expose the default nickname dictionary so callers can extend it
+module.exports.DEFAULT_NICKNAMES = DEFAULT_NICKNAMES;
+
+// Expose the default normalizers so callers can build on them
+module.exports.DEFAULT_NORMALIZERS = DEFAULT_NORMALIZERS;
+
+// Expose the default message catalog so callers can build on it
+module.exports.DEFAULT_MESSAGES = DEFAULT_MESSAGES;
+
+// Expose the error codes so callers can tell errors apart
+module.exports.ERROR_CODES = ERROR_CODES;
+
+// Expose the default header keywords so callers can see what is recognized
+module.exports.DEFAULT_HEADER_KEYWORDS = DEFAULT_HEADER_KEYWORDS;
+
+// Expose the manual resolution function
+module.exports.resolveRow = resolveRow;
+
+// Expose the section grouping function
+module.exports.groupBySection = groupBySection;
+
+// Expose the annotated CSV export function
+module.exports.exportCSV = exportCSV;
+
+// Expose the Canvas gradebook export function
+module.exports.exportGradebook = exportGradebook;
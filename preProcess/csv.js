@@ -1,49 +1,494 @@
 const fs = require('fs');
 const Papa = require('papaparse');
 
+const readWorkbook = require('./workbook');
+
+// Delimiters we try when auto-detecting (ties go to the first one)
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Encodings that can be chosen when reading a file or buffer
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1'];
+
+// Extensions of files that can be read as delimited text
+const TEXT_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+
+// Extensions of spreadsheet files that can be read as workbooks
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xlsm', '.xls', '.ods'];
+
+// Signatures at the start of workbook files
+const WORKBOOK_SIGNATURES = [
+  [0x50, 0x4B, 0x03, 0x04], // zip (.xlsx and .ods)
+  [0xD0, 0xCF, 0x11, 0xE0], // older .xls
+];
+
+// Ways to handle rows that have a different number of cells than the header
+const RAGGED_ROW_MODES = {
+  DROP: 'drop', // skip the row
+  REPAIR: 'repair', // pad short rows and merge the extra cells of long rows
+};
+
+// Reasons a row can be skipped
+const SKIP_REASONS = {
+  EMPTY: 'empty', // every cell is empty
+  TOO_FEW_CELLS: 'too-few-cells', // the row is shorter than the header
+  TOO_MANY_CELLS: 'too-many-cells', // the row is longer than the header
+  PREAMBLE: 'preamble', // the row is above the header row
+};
+
+// The max number of preamble lines that can show up above the header row
+const MAX_PREAMBLE_LINES = 10;
+
+// The number of rows to look at when figuring out how wide rows usually are
+const NUM_ROWS_TO_SAMPLE = 50;
+
+// The header row must have at least this many nonempty cells (or as many as
+// the fullest row, if that is fewer). Headers can have a few blank labels, so
+// this doesn't depend on how full the other rows are
+const MIN_HEADER_CELLS = 2;
+
+/**
+ * Figures out how a buffer is encoded and turns it into text
+ * @param {Buffer} buffer - the contents of the file
+ * @param {string} [encoding] - the encoding to use ("utf-8", "utf-16le",
+ *   "utf-16be", or "latin1"), or leave out to auto-detect it
+ * @return {object} the decoded file in the form { text, encoding, hasBOM }
+ */
+const decodeBuffer = (buffer, encoding) => {
+  // Look for a byte order mark
+  let bomEncoding = null;
+  let bomLength = 0;
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    bomEncoding = 'utf-8';
+    bomLength = 3;
+  } else if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    bomEncoding = 'utf-16le';
+    bomLength = 2;
+  } else if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    bomEncoding = 'utf-16be';
+    bomLength = 2;
+  }
+
+  // Choose the encoding
+  let chosenEncoding = encoding || bomEncoding;
+  if (!chosenEncoding) {
+    // UTF-16 text without a byte order mark has lots of zero bytes next to
+    // ASCII characters
+    let numEvenZeros = 0;
+    let numOddZeros = 0;
+    const sampleLength = Math.min(buffer.length, 1000);
+    for (let i = 0; i < sampleLength; i++) {
+      if (buffer[i] === 0) {
+        if (i % 2 === 0) {
+          numEvenZeros += 1;
+        } else {
+          numOddZeros += 1;
+        }
+      }
+    }
+    if (numOddZeros > sampleLength / 4) {
+      chosenEncoding = 'utf-16le';
+    } else if (numEvenZeros > sampleLength / 4) {
+      chosenEncoding = 'utf-16be';
+    } else {
+      // Use UTF-8 unless the file isn't valid UTF-8 (usually an older Excel
+      // export in Windows Latin-1)
+      try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        chosenEncoding = 'utf-8';
+      } catch (err) {
+        chosenEncoding = 'latin1';
+      }
+    }
+  }
+  if (!ENCODINGS.includes(chosenEncoding)) {
+    throw new Error(`The encoding "${chosenEncoding}" is not supported. Use one of: ${ENCODINGS.join(', ')}`);
+  }
+
+  // Decode the text (only skip the byte order mark if it fits the encoding)
+  const hasBOM = (bomEncoding !== null && bomEncoding === chosenEncoding);
+  const content = buffer.slice(hasBOM ? bomLength : 0);
+  let text;
+  if (chosenEncoding === 'utf-16be') {
+    // Swap bytes to get little endian
+    const swapped = Buffer.from(content);
+    swapped.swap16();
+    text = swapped.toString('utf16le');
+  } else if (chosenEncoding === 'utf-16le') {
+    text = content.toString('utf16le');
+  } else {
+    text = content.toString(chosenEncoding === 'latin1' ? 'latin1' : 'utf-8');
+  }
+
+  return {
+    text,
+    hasBOM,
+    encoding: chosenEncoding,
+  };
+};
+
+/**
+ * Parses delimited text and keeps track of where each row came from
+ * @param {string} text - the text to parse
+ * @param {string} delimiter - the delimiter between cells
+ * @return {object} the parsed text in the form { data, errors } where data is
+ *   a list of rows in the form { cells, lineNumber, rawText } and lineNumber
+ *   is the line of the text (counting from 1) that the row starts on
+ */
+const parseText = (text, delimiter) => {
+  const data = [];
+  const errors = [];
+  let start = 0; // index in the text where the current row starts
+  let lineNumber = 1; // line that the current row starts on
+  Papa.parse(text, {
+    delimiter,
+    header: false,
+    step: (results) => {
+      const end = results.meta.cursor;
+      const rawText = text.substring(start, end);
+      data.push({
+        lineNumber,
+        cells: results.data,
+        rawText: rawText.replace(/\r?\n$/, ''),
+      });
+      errors.push(...results.errors);
+
+      // Move on to the next row
+      lineNumber += (rawText.match(/\n/g) || []).length;
+      start = end;
+    },
+  });
+
+  return {
+    data,
+    errors,
+  };
+};
+
+/**
+ * Checks if a buffer holds a workbook (instead of delimited text)
+ * @param {Buffer} buffer - the contents of the file
+ * @return {boolean} true if the buffer holds a workbook
+ */
+const isWorkbookBuffer = (buffer) => {
+  return WORKBOOK_SIGNATURES.some((signature) => {
+    return signature.every((byte, i) => {
+      return (buffer[i] === byte);
+    });
+  });
+};
+
+/**
+ * Chooses the sheet of a workbook to read
+ * @param {object[]} sheets - the list of sheets in the form { name, rows }
+ *   (see workbook.js)
+ * @param {object} opts - object containing all other arguments
+ * @param {string|number} [opts.sheet] - the name or index of the sheet to
+ *   read, or leave out to choose automatically
+ * @param {function} [opts.pickSheet] - a function of the form
+ *   (sheets) => index of the best sheet, where sheets is a list of
+ *   { name, rows } and rows is a string[][], used to choose between multiple
+ *   nonempty sheets if no sheet was chosen
+ * @return {number} the index of the sheet to read
+ */
+const chooseSheetIndex = (sheets, opts) => {
+  const { sheet, pickSheet } = opts;
+
+  // Use the chosen sheet
+  if (typeof sheet === 'number') {
+    if (!sheets[sheet]) {
+      throw new Error(`The workbook does not have a sheet ${sheet} (it has ${sheets.length} sheet${sheets.length === 1 ? '' : 's'})`);
+    }
+    return sheet;
+  }
+  if (sheet !== undefined && sheet !== null) {
+    const simplify = (name) => {
+      return (
+        String(name)
+          .trim()
+          .toLowerCase()
+      );
+    };
+    const sheetIndex = sheets.findIndex(({ name }) => {
+      return (simplify(name) === simplify(sheet));
+    });
+    if (sheetIndex < 0) {
+      throw new Error(`The workbook does not have a sheet named "${sheet}". Its sheets are: ${sheets.map(({ name }) => { return `"${name}"`; }).join(', ')}`);
+    }
+    return sheetIndex;
+  }
+
+  // Only consider sheets that have something in them
+  const nonemptySheetIndices = (
+    sheets
+      .map((_, sheetIndex) => {
+        return sheetIndex;
+      })
+      .filter((sheetIndex) => {
+        return sheets[sheetIndex].rows.some(({ cells }) => {
+          return cells.some((cell) => {
+            return (cell.trim().length > 0);
+          });
+        });
+      })
+  );
+  if (nonemptySheetIndices.length === 0) {
+    throw new Error('We cannot process an empty workbook');
+  }
+  if (nonemptySheetIndices.length === 1 || !pickSheet) {
+    return nonemptySheetIndices[0];
+  }
+
+  // Let the caller pick the best sheet
+  const bestIndex = pickSheet(nonemptySheetIndices.map((sheetIndex) => {
+    return {
+      name: sheets[sheetIndex].name,
+      rows: sheets[sheetIndex].rows.map(({ cells }) => {
+        return cells;
+      }),
+    };
+  }));
+  return nonemptySheetIndices[bestIndex];
+};
+
+/**
+ * Counts the nonempty cells in a row
+ * @param {string[]} row - the row
+ * @return {number} the number of nonempty cells
+ */
+const countNonempty = (row) => {
+  return row.filter((cell) => {
+    return (String(cell).trim().length > 0);
+  }).length;
+};
+
+/**
+ * Finds the header row, skipping preamble lines (e.g. "Exported on ...")
+ *   that some survey tools and spreadsheets put above the header
+ * @param {string[][]} data - the parsed rows of the file
+ * @return {number} the index of the header row
+ */
+const findHeaderRow = (data) => {
+  const sample = data.slice(0, NUM_ROWS_TO_SAMPLE);
+
+  // Figure out how wide rows usually are
+  const lengthToCount = {}; // row length => number of rows with that length
+  sample.forEach((row) => {
+    lengthToCount[row.length] = (lengthToCount[row.length] || 0) + 1;
+  });
+  const maxCount = Math.max(0, ...Object.values(lengthToCount));
+
+  // Figure out how many nonempty cells a header needs
+  const maxNonempty = Math.max(0, ...sample.map(countNonempty));
+  const minNonempty = Math.min(MIN_HEADER_CELLS, maxNonempty);
+
+  // The header is the first row that looks like one: as wide as usual and
+  // with more than one label (only the rows above it are preamble). If two
+  // widths are just as common, the one that shows up first wins, so a long
+  // row can't outrank the header
+  const headerRow = (
+    sample
+      .slice(0, MAX_PREAMBLE_LINES + 1)
+      .findIndex((row) => {
+        return (
+          lengthToCount[row.length] === maxCount
+          && countNonempty(row) >= minNonempty
+        );
+      })
+  );
+  return Math.max(headerRow, 0);
+};
+
+/**
+ * Pads a short row or merges the extra cells of a long row so it has the
+ *   same number of cells as the header
+ * @param {string[]} row - the row to repair
+ * @param {object} opts - object containing all other arguments
+ * @param {number} opts.numCols - the number of cells in the header
+ * @param {number} opts.mergeColIndex - the index of the column that the extra
+ *   cells of a long row are merged into
+ * @param {string} opts.delimiter - the delimiter to put between merged cells
+ * @return {string[]} the repaired row
+ */
+const repairRow = (row, opts) => {
+  const { numCols, mergeColIndex, delimiter } = opts;
+  if (row.length < numCols) {
+    return [
+      ...row,
+      ...new Array(numCols - row.length).fill(''),
+    ];
+  }
+  const numExtra = row.length - numCols;
+  return [
+    ...row.slice(0, mergeColIndex),
+    row.slice(mergeColIndex, mergeColIndex + numExtra + 1).join(delimiter),
+    ...row.slice(mergeColIndex + numExtra + 1),
+  ];
+};
+
 /**
  * Pre-processes the CSV
- * @param {string|object} csv - the contents of the CSV. May be a filename,
- *   string contents of a CSV file with one header row, or a processed csv file
- *   in the form:
+ * @param {string|Buffer|object} csv - the contents of the CSV. May be a
+ *   filename (.csv, .tsv, .txt, .xlsx, .xlsm, .xls, or .ods), string
+ *   contents of a CSV file, a buffer with the contents of a CSV file or
+ *   workbook, or a processed csv file in the form:
  *   { headers: ['Col 1 Header', ...], rows: [['Row 1 Cell 1', ...], ['R2 C2']]}
- * @return {object} a processed csv file (see description above)
+ * @param {object} [opts={}] - settings for reading the CSV
+ * @param {string|number} [opts.sheet] - the name or index of the workbook
+ *   sheet to read, or leave out to choose automatically (see
+ *   chooseSheetIndex)
+ * @param {function} [opts.pickSheet] - a function that picks the best sheet
+ *   when a workbook has more than one nonempty sheet (see chooseSheetIndex)
+ * @param {string} [opts.delimiter] - the delimiter between cells, or leave
+ *   out to auto-detect it
+ * @param {string} [opts.encoding] - the encoding of the file or buffer
+ *   ("utf-8", "utf-16le", "utf-16be", or "latin1"), or leave out to
+ *   auto-detect it
+ * @param {number} [opts.headerRow] - the index of the row that holds the
+ *   headers (rows above it are skipped), or leave out to auto-detect it
+ * @param {string} [opts.raggedRows=drop] - how to handle rows with a
+ *   different number of cells than the header: "drop" to skip them or
+ *   "repair" to pad short rows with empty cells and merge the extra cells of
+ *   long rows back into one cell
+ * @param {string|number} [opts.mergeColumn=last column] - the header or
+ *   index of the column that the extra cells of long rows are merged into
+ * @return {object} a processed csv file in the form
+ *   { headers, rows, rowIndices, lineNumbers, skippedRows, repairedRows,
+ *   settings } where rowIndices and lineNumbers give the index of each row
+ *   in the original CSV (skipped rows still count) and the line of the file
+ *   that it starts on (null if the csv was already processed), skippedRows
+ *   and repairedRows are lists of
+ *   { rowIndex, lineNumber, rawText, rawRow, reason } (rowIndex is null for
+ *   preamble lines above the header row), and settings is an
+ *   object in the form { delimiter, encoding, hasBOM, headerRow, sheet }
+ *   that describes how the file was read (null if the csv was already
+ *   processed)
  */
-module.exports = (oldCSV) => {
+module.exports = (oldCSV, opts = {}) => {
   let csv = oldCSV;
+  const raggedRowMode = opts.raggedRows || RAGGED_ROW_MODES.DROP;
+  if (!Object.values(RAGGED_ROW_MODES).includes(raggedRowMode)) {
+    throw new Error(`Invalid raggedRows option "${raggedRowMode}". Must be one of: ${Object.values(RAGGED_ROW_MODES).join(', ')}`);
+  }
 
   // Extract original CSV value
   if (!csv) {
     throw new Error('No CSV included');
   }
 
-  // Check if we need to pre-process
-  if (typeof csv === 'string') {
-    // Yes, we need to pre-process
-
-    // Check for file reading
-    if (
-      !csv.includes(',')
-      && !csv.includes('\n')
-      && (
+  // Check for file reading
+  if (
+    typeof csv === 'string'
+    && !csv.includes('\n')
+    && [...TEXT_EXTENSIONS, ...WORKBOOK_EXTENSIONS].some((extension) => {
+      return (
         csv
           .trim()
           .toLowerCase()
-          .endsWith('.csv')
-      )
-    ) {
-      // CSV must be a filename
-      const filename = csv;
-
-      // Read the file
-      csv = fs.readFileSync(filename, 'utf-8');
+          .endsWith(extension)
+      );
+    })
+  ) {
+    // CSV must be a filename
+    csv = fs.readFileSync(csv.trim());
+  }
+
+  // Check if we need to pre-process
+  let settings = null;
+  let sourceRows; // list of { cells, lineNumber, rawText }
+  let preambleRows = []; // list of { cells, lineNumber, rawText }
+  if (Buffer.isBuffer(csv) && isWorkbookBuffer(csv)) {
+    // Read the workbook and choose a sheet
+    const sheets = readWorkbook(csv);
+    const sheet = sheets[chooseSheetIndex(sheets, opts)];
+    const data = sheet.rows.map(({ cells, lineNumber }) => {
+      return {
+        cells,
+        lineNumber,
+        rawText: Papa.unparse([cells]),
+      };
+    });
+
+    // Find the header
+    const headerRow = (
+      (opts.headerRow !== undefined && opts.headerRow !== null)
+        ? opts.headerRow
+        : findHeaderRow(sheet.rows.map(({ cells }) => {
+          return cells;
+        }))
+    );
+    if (!data[headerRow] || data[headerRow].cells.length === 0) {
+      throw new Error('We cannot process an empty CSV');
+    }
+
+    // Separate out header
+    csv = { headers: data[headerRow].cells };
+    sourceRows = data.slice(headerRow + 1);
+    preambleRows = data.slice(0, headerRow);
+    settings = {
+      headerRow,
+      delimiter: null,
+      encoding: null,
+      hasBOM: false,
+      sheet: sheet.name,
+    };
+  } else if (typeof csv === 'string' || Buffer.isBuffer(csv)) {
+    // Yes, we need to pre-process
+
+    // Decode the file
+    let text;
+    let encoding = null;
+    let hasBOM = false;
+    if (Buffer.isBuffer(csv)) {
+      ({ text, encoding, hasBOM } = decodeBuffer(csv, opts.encoding));
+    } else {
+      text = csv;
+      hasBOM = text.startsWith('\uFEFF');
+      if (hasBOM) {
+        text = text.substring(1);
+      }
     }
 
-    // Parse the file
-    const { data, errors } = Papa.parse(csv, {
-      header: false,
-      delimiter: ',',
+    // Parse the file with each delimiter and keep the one where the most rows
+    // are as wide as the header
+    const delimiters = (
+      opts.delimiter
+        ? [opts.delimiter]
+        : CANDIDATE_DELIMITERS
+    );
+    let best = null; // { delimiter, data, errors, headerRow, score }
+    delimiters.forEach((delimiter) => {
+      const { data, errors } = parseText(text, delimiter);
+      const headerRow = (
+        (opts.headerRow !== undefined && opts.headerRow !== null)
+          ? opts.headerRow
+          : findHeaderRow(data.map(({ cells }) => {
+            return cells;
+          }))
+      );
+      const numCols = (data[headerRow] ? data[headerRow].cells.length : 0);
+      const score = (
+        (numCols > 1 && errors.length === 0)
+          ? data.slice(headerRow + 1).filter(({ cells }) => {
+            return (cells.length === numCols);
+          }).length
+          : 0
+      );
+      if (!best || score > best.score) {
+        best = {
+          delimiter,
+          data,
+          errors,
+          headerRow,
+          score,
+        };
+      }
     });
+    const {
+      delimiter,
+      data,
+      errors,
+      headerRow,
+    } = best;
 
     // Detect CSV parsing errors
     if (errors && errors.length > 0) {
@@ -51,38 +496,126 @@ module.exports = (oldCSV) => {
     }
 
     // Detect empty CSV
-    if (!data || data.length === 0 || data[0].length === 0) {
+    if (!data[headerRow] || data[headerRow].cells.length === 0) {
       throw new Error('We cannot process an empty CSV');
     }
 
     // Separate out header
-    const headers = data.shift();
-    const rows = data;
-    csv = { headers, rows };
+    csv = { headers: data[headerRow].cells };
+    sourceRows = data.slice(headerRow + 1);
+    preambleRows = data.slice(0, headerRow);
+    settings = {
+      delimiter,
+      encoding,
+      hasBOM,
+      headerRow,
+      sheet: null,
+    };
+  } else if (csv && csv.rows && csv.headers) {
+    sourceRows = csv.rows.map((row) => {
+      return {
+        cells: row,
+        lineNumber: null,
+        rawText: (row ? row.join(',') : ''),
+      };
+    });
   }
 
   // Invalid object
-  if (!csv || !csv.rows || !csv.headers) {
+  if (!csv || !sourceRows || !csv.headers) {
     throw new Error('CSV is in the wrong format. Must be { rows, headers}');
   }
+  const { headers } = csv;
 
-  // Remove empty rows
-  csv.rows = csv.rows.filter((row) => {
-    // Skip empty or falsy rows
-    if (!row || row.length === 0) {
-      return false;
+  // Find the column that extra cells are merged into
+  let mergeColIndex = headers.length - 1;
+  if (opts.mergeColumn !== undefined && opts.mergeColumn !== null) {
+    mergeColIndex = (
+      (typeof opts.mergeColumn === 'number')
+        ? opts.mergeColumn
+        : headers.indexOf(opts.mergeColumn)
+    );
+    if (mergeColIndex < 0 || mergeColIndex >= headers.length) {
+      throw new Error(`The merge column "${opts.mergeColumn}" could not be found`);
     }
+  }
 
-    // Only keep this row if at least one cell is not empty
-    return row.some((cell) => {
-      return (cell.trim().length > 0);
-    });
+  // Go through each row and skip or repair rows that can't be used
+  const rows = [];
+  const rowIndices = [];
+  const lineNumbers = [];
+  const skippedRows = [];
+  const repairedRows = [];
+
+  // Report the lines above the header row (blank lines aren't rows, so they
+  // aren't reported)
+  preambleRows.forEach(({ cells, lineNumber, rawText }) => {
+    if (rawText.trim().length > 0) {
+      skippedRows.push({
+        lineNumber,
+        rawText,
+        rowIndex: null,
+        reason: SKIP_REASONS.PREAMBLE,
+        rawRow: cells,
+      });
+    }
   });
 
-  // Remove rows that are the wrong length
-  csv.rows = csv.rows.filter((row) => {
-    return (row.length === csv.headers.length);
+  sourceRows.forEach((sourceRow, rowIndex) => {
+    const { lineNumber, rawText } = sourceRow;
+    let row = sourceRow.cells || [];
+    const describeRow = (reason) => {
+      return {
+        rowIndex,
+        lineNumber,
+        rawText,
+        reason,
+        rawRow: row,
+      };
+    };
+
+    // Skip empty rows (blank lines aren't rows, so they aren't reported)
+    const isEmpty = row.every((cell) => {
+      return (String(cell).trim().length === 0);
+    });
+    if (isEmpty) {
+      if (rawText.trim().length > 0) {
+        skippedRows.push(describeRow(SKIP_REASONS.EMPTY));
+      }
+      return;
+    }
+
+    // Skip or repair rows that are the wrong length
+    if (row.length !== headers.length) {
+      const reason = (
+        (row.length < headers.length)
+          ? SKIP_REASONS.TOO_FEW_CELLS
+          : SKIP_REASONS.TOO_MANY_CELLS
+      );
+      if (raggedRowMode === RAGGED_ROW_MODES.DROP) {
+        skippedRows.push(describeRow(reason));
+        return;
+      }
+      repairedRows.push(describeRow(reason));
+      row = repairRow(row, {
+        mergeColIndex,
+        numCols: headers.length,
+        delimiter: ((settings && settings.delimiter) || ','),
+      });
+    }
+
+    rows.push(row);
+    rowIndices.push(rowIndex);
+    lineNumbers.push(lineNumber);
   });
 
-  return csv;
+  return {
+    headers,
+    rows,
+    rowIndices,
+    lineNumbers,
+    skippedRows,
+    repairedRows,
+    settings,
+  };
 };
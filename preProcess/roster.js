@@ -0,0 +1,129 @@
+const fs = require('fs');
+
+const preProcessCSV = require('./csv');
+
+// Map from simplified roster CSV header => Canvas user field
+const HEADER_TO_FIELD = {
+  canvasid: 'id',
+  canvasuserid: 'id',
+  id: 'id',
+  fullname: 'name',
+  name: 'name',
+  sortablename: 'sortable_name',
+  firstname: 'first_name',
+  lastname: 'last_name',
+  email: 'email',
+  emailaddress: 'email',
+  huid: 'sis_user_id',
+  sisid: 'sis_user_id',
+  sisuserid: 'sis_user_id',
+  universityid: 'sis_user_id',
+  loginid: 'login_id',
+  sisloginid: 'login_id',
+  login: 'login_id',
+  role: 'role',
+  section: 'sections',
+  sections: 'sections',
+};
+
+/**
+ * Turns a roster CSV (one row per user) into lists of Canvas user objects. If
+ *   the roster has a Section(s) column, each user's sections field holds its
+ *   cell
+ * @param {string} filename - the path of the roster CSV
+ * @return {object} the users in the form { students, teachingTeamMembers }
+ */
+const readRosterCSV = (filename) => {
+  const { headers, rows } = preProcessCSV(filename);
+
+  // Figure out which field each column holds
+  const colIndexToField = headers.map((header) => {
+    const simplifiedHeader = header.toLowerCase().replace(/[^a-z]/g, '');
+    return HEADER_TO_FIELD[simplifiedHeader] || null;
+  });
+  if (!colIndexToField.includes('id')) {
+    throw new Error(`The roster "${filename}" does not have a Canvas ID column`);
+  }
+
+  // Create users
+  const students = [];
+  const teachingTeamMembers = [];
+  rows.forEach((row) => {
+    const fields = {};
+    row.forEach((cell, colIndex) => {
+      const field = colIndexToField[colIndex];
+      if (field && fields[field] === undefined) {
+        fields[field] = cell.trim();
+      }
+    });
+
+    // Build names out of first and last names if needed
+    const firstName = fields.first_name || '';
+    const lastName = fields.last_name || '';
+    const user = {
+      id: fields.id,
+      name: fields.name || `${firstName} ${lastName}`.trim(),
+      sortable_name: (
+        fields.sortable_name
+        || ((firstName && lastName) ? `${lastName}, ${firstName}` : undefined)
+      ),
+      email: fields.email,
+      sis_user_id: fields.sis_user_id,
+      login_id: fields.login_id,
+      sections: fields.sections || undefined,
+    };
+
+    // Without a role column, everyone is a student
+    const isStudent = (
+      !fields.role
+      || fields.role.toLowerCase().includes('student')
+    );
+    if (isStudent) {
+      students.push(user);
+    } else {
+      teachingTeamMembers.push(user);
+    }
+  });
+
+  return {
+    students,
+    teachingTeamMembers,
+  };
+};
+
+/**
+ * Reads a roster file. The roster may be a Canvas users JSON dump (a list of
+ *   Canvas users, or an object in the form { students, teachingTeamMembers })
+ *   or a roster CSV with one row per user. If the roster CSV has a Role
+ *   column, users without "student" in their role are teaching team members.
+ *   Otherwise, everyone is a student
+ * @param {string} filename - the path of the roster file
+ * @return {object} the users in the form { students, teachingTeamMembers }
+ */
+module.exports = (filename) => {
+  const isJSON = (
+    filename
+      .trim()
+      .toLowerCase()
+      .endsWith('.json')
+  );
+  if (!isJSON) {
+    return readRosterCSV(filename);
+  }
+
+  // Read JSON
+  const roster = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+  if (Array.isArray(roster)) {
+    return {
+      students: roster,
+      teachingTeamMembers: [],
+    };
+  }
+  if (!roster || (!roster.students && !roster.teachingTeamMembers)) {
+    throw new Error(`The roster "${filename}" must be a list of Canvas users or an object in the form { students, teachingTeamMembers }`);
+  }
+  return {
+    students: roster.students || [],
+    teachingTeamMembers: roster.teachingTeamMembers || [],
+  };
+};
@@ -12,7 +12,12 @@ const findSecondPropOfDuplicate = (simpleObjects) => {
     return null;
   }
 
-  const props = Object.keys(simpleObjects[0]);
+  // Skip props that were already removed (they would always be duplicates)
+  const props = Object.keys(simpleObjects[0]).filter((prop) => {
+    return simpleObjects.some((obj) => {
+      return (obj[prop] !== undefined);
+    });
+  });
 
   // No duplicates if only 1 prop
   const { length } = props;
@@ -43,21 +48,23 @@ const findSecondPropOfDuplicate = (simpleObjects) => {
 /**
  * Pre-processes an array of Canvas user objects, returning simplified objects
  * @param {User[]} [users=[]] - an array of Canvas user objects
+ * @param {function} normalize - a function of the form
+ *   (prop, value) => normalized value (see helpers/genNormalize.js)
  * @return {object[]} a simplified user object array with duplicate props
  *   removed, where each object takes the form:
  *   { canvasId, fullName, sortableName, sisUserId, loginId, email }
  */
-module.exports = (users) => {
+module.exports = (users, normalize) => {
   /* ------------------ Convert to simple objects ----------------- */
 
   let simpleObjects = (users || []).map((user) => {
     return {
       canvasId: user.id,
-      fullName: String(user.name || '').toLowerCase(),
-      sortableName: String(user.sortable_name || '').toLowerCase(),
-      sisUserId: String(user.sis_user_id || '').toLowerCase(),
-      loginId: String(user.login_id || '').toLowerCase(),
-      email: String(user.email || '').toLowerCase(),
+      fullName: normalize('fullName', user.name || ''),
+      sortableName: normalize('sortableName', user.sortable_name || ''),
+      sisUserId: normalize('sisUserId', user.sis_user_id || ''),
+      loginId: normalize('loginId', user.login_id || ''),
+      email: normalize('email', user.email || ''),
     };
   });
 
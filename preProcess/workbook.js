@@ -0,0 +1,70 @@
+// How to install SheetJS, which is only needed for reading workbooks (see
+// the csvSettings section of README.md)
+const XLSX_INSTALL_COMMAND = 'npm install https://cdn.sheetjs.com/xlsx-0.20.3/xlsx-0.20.3.tgz';
+
+/**
+ * Loads SheetJS, which callers only install if they read workbooks
+ * @return {object} the xlsx module
+ */
+const loadXLSX = () => {
+  try {
+    // eslint-disable-next-line global-require
+    return require('xlsx');
+  } catch (err) {
+    const isMissing = (
+      err.code === 'MODULE_NOT_FOUND'
+      && err.message.includes('\'xlsx\'')
+    );
+    if (isMissing) {
+      throw new Error(`Reading workbooks requires SheetJS (the xlsx package), which is not installed. Install it with: ${XLSX_INSTALL_COMMAND}`);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Reads a workbook (.xlsx, .ods, or .xls) and turns each sheet into rows of
+ *   cell strings. Cells keep the values that are displayed in the
+ *   spreadsheet, so IDs with leading zeros and formatted dates show up as
+ *   they do on screen
+ * @param {Buffer} buffer - the contents of the workbook file
+ * @return {object[]} the list of sheets in the form { name, rows } where
+ *   rows is a list of { cells, lineNumber } and lineNumber is the row number
+ *   shown in the spreadsheet (counting from 1)
+ */
+module.exports = (buffer) => {
+  const XLSX = loadXLSX();
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+
+  return workbook.SheetNames.map((name) => {
+    const sheet = workbook.Sheets[name];
+
+    // Empty sheets have no range
+    if (!sheet['!ref']) {
+      return {
+        name,
+        rows: [],
+      };
+    }
+
+    // The sheet's range may not start at the first row
+    const firstRowIndex = XLSX.utils.decode_range(sheet['!ref']).s.r;
+    const data = XLSX.utils.sheet_to_json(sheet, {
+      header: 1,
+      raw: false,
+      defval: '',
+      blankrows: true,
+    });
+    return {
+      name,
+      rows: data.map((cells, i) => {
+        return {
+          cells: cells.map((cell) => {
+            return String(cell);
+          }),
+          lineNumber: firstRowIndex + i + 1,
+        };
+      }),
+    };
+  });
+};
@@ -0,0 +1,262 @@
+const genSearchFunctions = require('./genSearchFunctions');
+const preProcessUsers = require('./preProcess/users');
+const separateRows = require('./helpers/separateRows');
+const findMissingUsers = require('./helpers/findMissingUsers');
+const genLegacyFields = require('./helpers/genLegacyFields');
+const genNormalize = require('./helpers/genNormalize');
+const genAliasStore = require('./helpers/genAliasStore');
+const listNewAliases = require('./helpers/listNewAliases');
+const saveAliases = require('./helpers/saveAliases');
+
+const { ALIAS_SCOPES, LEGACY_POOL_KEYS } = require('./constants');
+
+/**
+ * Manually assigns users to a row and re-checks the "only once" and number
+ *   per row rules across all rows
+ * @param {object} results - the results of a previous matching run (or of a
+ *   previous call to resolveRow)
+ * @param {number} rowIndex - the index of the row (as it was in the CSV) to
+ *   assign users to
+ * @param {object} [assignment={}] - the users to assign to the row
+ * @param {object} [assignment.usersByPool] - map of pool name => list of
+ *   Canvas users to assign to the row. Pools that are left out keep the row's
+ *   current users
+ * @param {User[]} [assignment.students] - the list of Canvas students to
+ *   assign to the row (same as usersByPool.student)
+ * @param {User[]} [assignment.teachingTeamMembers] - the list of Canvas
+ *   teaching team members to assign to the row (same as
+ *   usersByPool["teaching team member"])
+ * @param {string|boolean} [assignment.rememberAliases="course"] - where to
+ *   save the row's unmatched cells as aliases of the assigned users if the
+ *   results have an alias store: "course" to save them under the run's alias
+ *   scope, "global" to save them for every run, or false to not save them.
+ *   If the run had no alias scope, course aliases aren't saved (and asking
+ *   for them is an error) so they can't leak into other courses
+ * @param {object} [assignment.opts={}] - the options passed to matchCSV that
+ *   are functions, which the results can't hold: normalizers, messages, and
+ *   aliasStore (only needed if it was an adapter)
+ * @return {object} updated results where rows that became valid or invalid
+ *   have been moved to matchedRows or unmatchedRows, and learnedAliases
+ *   lists the aliases that were saved
+ */
+module.exports = (results, rowIndex, assignment = {}) => {
+  const poolNames = Object.keys(results.pools);
+  const matchOpts = assignment.opts || {};
+  const normalize = genNormalize(matchOpts.normalizers);
+  const poolToUsers = {}; // pool name => list of full users, in order
+  poolNames.forEach((pool) => {
+    poolToUsers[pool] = results.pools[pool].userIds.map((id) => {
+      return results.idToFullUser[id];
+    });
+  });
+
+  // Put all rows back in CSV order
+  const allRows = (
+    [...results.matchedRows, ...results.unmatchedRows]
+      .sort((a, b) => {
+        return a.rowIndex - b.rowIndex;
+      })
+  );
+  const rowExists = allRows.some((row) => {
+    return (row.rowIndex === rowIndex);
+  });
+  if (!rowExists) {
+    throw new Error(`Row ${rowIndex} could not be found in the results`);
+  }
+
+  // Gather the assigned users of each pool
+  const assignedUsersByPool = { ...(assignment.usersByPool || {}) };
+  Object.keys(LEGACY_POOL_KEYS).forEach((pool) => {
+    const assignedUsers = assignment[LEGACY_POOL_KEYS[pool].users];
+    if (assignedUsers) {
+      assignedUsersByPool[pool] = assignedUsers;
+    }
+  });
+  Object.keys(assignedUsersByPool).forEach((pool) => {
+    if (!poolNames.includes(pool)) {
+      throw new Error(`Users were assigned to the pool "${pool}" but the results have no pool with that name`);
+    }
+  });
+
+  // Save the cells that didn't lead to the assigned users as aliases
+  const rememberAliases = (
+    (assignment.rememberAliases !== undefined)
+      ? assignment.rememberAliases
+      : ALIAS_SCOPES.COURSE
+  );
+  const isValidScope = (
+    rememberAliases === false
+    || Object.values(ALIAS_SCOPES).includes(rememberAliases)
+  );
+  if (!isValidScope) {
+    throw new Error(`rememberAliases must be "${ALIAS_SCOPES.COURSE}", "${ALIAS_SCOPES.GLOBAL}", or false`);
+  }
+  const isMissingScope = (
+    results.aliases
+    && rememberAliases === ALIAS_SCOPES.COURSE
+    && results.aliases.scope === null
+  );
+  if (isMissingScope && assignment.rememberAliases !== undefined) {
+    throw new Error(`rememberAliases is "${ALIAS_SCOPES.COURSE}" but the results have no aliasScope to save course aliases under`);
+  }
+  const isSaving = (
+    results.aliases
+    && rememberAliases !== false
+    && !isMissingScope
+  );
+  let learnedAliases = [];
+  if (isSaving) {
+    const store = (
+      (matchOpts.aliasStore !== undefined && matchOpts.aliasStore !== null)
+        ? matchOpts.aliasStore
+        : results.aliases.store
+    );
+    if (store === null) {
+      throw new Error('The results were matched with an aliasStore adapter, so it must be passed to resolveRow in opts.aliasStore (or set rememberAliases to false)');
+    }
+    learnedAliases = listNewAliases({
+      assignedUsersByPool,
+      normalize,
+      lifetimeDays: results.aliases.lifetimeDays,
+      row: allRows.find((row) => {
+        return (row.rowIndex === rowIndex);
+      }),
+      scope: (
+        (rememberAliases === ALIAS_SCOPES.COURSE)
+          ? results.aliases.scope
+          : null
+      ),
+    });
+    if (learnedAliases.length > 0) {
+      saveAliases(genAliasStore(store), learnedAliases);
+    }
+  }
+
+  // Strip rows back down to their matches and apply the assignment
+  const rowMatches = allRows.map((row) => {
+    const {
+      errors,
+      errorList,
+      potentialUsersByPool,
+      ...rowMatch
+    } = row;
+    Object.values(LEGACY_POOL_KEYS).forEach(({ potentials }) => {
+      delete rowMatch[potentials];
+    });
+
+    if (row.rowIndex !== rowIndex) {
+      return rowMatch;
+    }
+
+    const usersByPool = {
+      ...rowMatch.usersByPool,
+      ...assignedUsersByPool,
+    };
+
+    // Only keep fuzzy matches for users that are still assigned
+    const isAssigned = {}; // "pool|id" => true if assigned to this row
+    poolNames.forEach((pool) => {
+      usersByPool[pool].forEach((user) => {
+        isAssigned[`${pool}|${user.id}`] = true;
+      });
+    });
+    const fuzzyMatches = (rowMatch.fuzzyMatches || []).filter((fuzzyMatch) => {
+      return isAssigned[`${fuzzyMatch.type}|${fuzzyMatch.user.id}`];
+    });
+
+    return {
+      ...rowMatch,
+      usersByPool,
+      ...genLegacyFields(usersByPool, 'users'),
+      fuzzyMatches,
+      isManuallyResolved: true,
+    };
+  });
+
+  // Re-check the rules
+  const { matchedRows, unmatchedRows } = separateRows({
+    rowMatches,
+    pools: results.pools,
+    sectionColIndex: (
+      results.sectionColumn
+        ? results.sectionColumn.colIndex
+        : null
+    ),
+    requireSectionMatch: results.requireSectionMatch,
+    messages: matchOpts.messages,
+  });
+
+  // Users that can only show up once and are in a matched row can no longer
+  // be potential users
+  const poolToExcluded = {}; // pool name => list of excluded users
+  poolNames.forEach((pool) => {
+    poolToExcluded[pool] = [];
+    if (!results.pools[pool].onlyOnce) {
+      return;
+    }
+    matchedRows.forEach((matchedRow) => {
+      poolToExcluded[pool].push(...matchedRow.usersByPool[pool]);
+    });
+  });
+
+  // Rate every unmatched row again, since users may have been freed or taken
+  const maxPotentialUsers = (
+    (results.maxPotentialUsers !== undefined
+      && results.maxPotentialUsers !== null)
+      ? results.maxPotentialUsers
+      : Infinity
+  );
+  const poolToSearchFunctions = {}; // pool name => search functions
+  if (unmatchedRows.length > 0) {
+    poolNames.forEach((pool) => {
+      poolToSearchFunctions[pool] = genSearchFunctions(
+        preProcessUsers(poolToUsers[pool], normalize),
+        { normalize }
+      );
+    });
+  }
+  const unmatchedRowsWithPotentials = unmatchedRows.map((unmatchedRow) => {
+    const potentialUsersByPool = {}; // pool name => ratings
+    poolNames.forEach((pool) => {
+      potentialUsersByPool[pool] = (
+        poolToSearchFunctions[pool]
+          .getConfidenceRatings(
+            unmatchedRow.rawRow,
+            poolToExcluded[pool],
+            maxPotentialUsers
+          )
+          .map((rating) => {
+            return {
+              ...rating,
+              user: results.idToFullUser[rating.user.canvasId],
+            };
+          })
+      );
+    });
+    return {
+      ...unmatchedRow,
+      potentialUsersByPool,
+      ...genLegacyFields(potentialUsersByPool, 'potentials'),
+    };
+  });
+
+  // Recalculate the users that never showed up in a matched row
+  const missingUsersByPool = {}; // pool name => list of missing users
+  poolNames.forEach((pool) => {
+    missingUsersByPool[pool] = findMissingUsers({
+      matchedRows,
+      pool,
+      users: poolToUsers[pool],
+      unmatchedRows: unmatchedRowsWithPotentials,
+    });
+  });
+
+  return {
+    ...results,
+    matchedRows,
+    missingUsersByPool,
+    ...genLegacyFields(missingUsersByPool, 'missing'),
+    unmatchedRows: unmatchedRowsWithPotentials,
+    learnedAliases,
+  };
+};
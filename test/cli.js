@@ -0,0 +1,69 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '../bin/canvas-csv-matcher.js');
+
+// How long the CLI gets before we decide it hangs
+const TIMEOUT_MS = 20000;
+
+/**
+ * Runs the CLI on the test grades and minimal roster
+ * @param {string[]} args - the extra arguments
+ * @return {object} the result of spawnSync
+ */
+const runCLI = (args) => {
+  return spawnSync(
+    process.execPath,
+    [
+      CLI,
+      path.join(__dirname, 'files/grades.csv'),
+      path.join(__dirname, 'files/roster-minimal.csv'),
+      ...args,
+    ],
+    {
+      encoding: 'utf-8',
+      timeout: TIMEOUT_MS,
+    }
+  );
+};
+
+describe('Command-Line Interface', function () {
+  it('Works with a roster that only has names, ids, and emails', function () {
+    this.timeout(TIMEOUT_MS + 5000);
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-matcher-'));
+    const matchedOut = path.join(outDir, 'matched.csv');
+    const unmatchedOut = path.join(outDir, 'unmatched.csv');
+
+    const { status, stdout, error } = runCLI([
+      '--matched-out',
+      matchedOut,
+      '--unmatched-out',
+      unmatchedOut,
+    ]);
+
+    assert.ifError(error);
+    assert.strictEqual(status, 0);
+    assert(stdout.includes('Unmatched rows: 0'));
+    assert(fs.existsSync(matchedOut));
+  });
+
+  it('Exits with an error for invalid option values', function () {
+    this.timeout((TIMEOUT_MS * 5) + 5000);
+    [
+      ['--match-threshold', 'abc'],
+      ['--match-threshold', '0'],
+      ['--match-threshold', '1.5'],
+      ['--num-students-per-row', 'foo'],
+      ['--num-teaching-team-members-per-row', '-1'],
+    ].forEach(([flag, value]) => {
+      const { status, stderr, error } = runCLI([flag, value]);
+
+      assert.ifError(error);
+      assert.strictEqual(status, 2);
+      assert(stderr.includes(flag));
+    });
+  });
+});
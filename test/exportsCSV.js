@@ -0,0 +1,57 @@
+const assert = require('assert');
+const path = require('path');
+const Papa = require('papaparse');
+
+const matchCSV = require('..');
+const readRoster = require('../preProcess/roster');
+
+// Students from the test roster
+const { students } = readRoster(path.join(__dirname, 'files/roster.csv'));
+
+// A CSV where the last row has an extra cell from a comma in its comment
+const text = [
+  'Name,Email,Comment',
+  ...students.slice(0, 5).map(({ name, email }) => {
+    return `${name},${email},good`;
+  }),
+  `${students[5].name},${students[5].email},great, thanks`,
+].join('\n');
+
+/**
+ * Exports the results and parses the exported CSV
+ * @param {object} results - the results to export
+ * @return {string[][]} the exported rows (without the header)
+ */
+const exportRows = (results) => {
+  const { data } = Papa.parse(matchCSV.exportCSV(results));
+  return data.slice(1);
+};
+
+describe('CSV Export', function () {
+  it('Leaves out skipped rows', function () {
+    const results = matchCSV({ students, csv: text });
+    assert.strictEqual(results.skippedRows.length, 1);
+
+    const rows = exportRows(results);
+    assert.strictEqual(rows.length, 5);
+    rows.forEach((row) => {
+      assert.strictEqual(row[2], 'good');
+      assert.strictEqual(row[row.length - 2], 'matched');
+    });
+  });
+
+  it('Exports repaired rows as they were repaired', function () {
+    const results = matchCSV({
+      students,
+      csv: text,
+      raggedRows: 'repair',
+      mergeColumn: 'Comment',
+    });
+    assert.strictEqual(results.repairedRows.length, 1);
+
+    const rows = exportRows(results);
+    assert.strictEqual(rows.length, 6);
+    assert.strictEqual(rows[5][2], 'great, thanks');
+    assert.strictEqual(rows[5][rows[5].length - 2], 'matched');
+  });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const path = require('path');
+const Papa = require('papaparse');
+
+const matchCSV = require('..');
+const readRoster = require('../preProcess/roster');
+
+// Students from the test roster, split into two labs
+const { students } = readRoster(path.join(__dirname, 'files/roster.csv'));
+const studentsInLabs = students.map((student, i) => {
+  return {
+    ...student,
+    sections: `Lab ${(i % 2) + 1}`,
+  };
+});
+
+/**
+ * Matches a CSV that lists each student's lab and grade
+ * @param {object} [opts={}] - extra matching options
+ * @return {object} the results
+ */
+const genResults = (opts = {}) => {
+  return matchCSV({
+    ...opts,
+    students: studentsInLabs,
+    csv: {
+      headers: ['Name', 'Lab', 'Grade'],
+      rows: studentsInLabs.map(({ name, sections }) => {
+        return [name, sections, '10'];
+      }),
+    },
+  });
+};
+
+/**
+ * Exports a gradebook and lists the cells of its Section column
+ * @param {object} results - the results to export
+ * @param {object} [opts={}] - extra export options
+ * @return {string[]} the Section cell of each student
+ */
+const listSections = (results, opts = {}) => {
+  const { csv } = matchCSV.exportGradebook(results, {
+    ...opts,
+    assignments: ['Grade'],
+  });
+  const { data } = Papa.parse(csv);
+  const sectionIndex = data[0].indexOf('Section');
+  return data.slice(1).map((row) => {
+    return row[sectionIndex];
+  });
+};
+
+describe('Gradebook Export', function () {
+  it('Fills in sections from the detected section column', function () {
+    const results = genResults();
+    assert.strictEqual(results.sectionColumn.header, 'Lab');
+
+    assert.deepStrictEqual(
+      listSections(results),
+      studentsInLabs.map(({ sections }) => {
+        return sections;
+      })
+    );
+  });
+
+  it('Uses the section header that is passed in', function () {
+    const results = genResults({ sectionColumn: false });
+    assert.strictEqual(results.sectionColumn, null);
+
+    assert.deepStrictEqual(
+      listSections(results),
+      Array(students.length).fill('')
+    );
+    assert.deepStrictEqual(
+      listSections(results, { sectionHeader: 'Lab' }),
+      studentsInLabs.map(({ sections }) => {
+        return sections;
+      })
+    );
+  });
+
+  it('Leaves sections empty if the section header is false', function () {
+    const results = genResults();
+
+    assert.deepStrictEqual(
+      listSections(results, { sectionHeader: false }),
+      Array(students.length).fill('')
+    );
+  });
+});
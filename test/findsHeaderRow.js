@@ -0,0 +1,59 @@
+const assert = require('assert');
+
+const preProcessCSV = require('../preProcess/csv');
+
+describe('CSV Pre-processing', function () {
+  it('Keeps a header row that has blank labels', function () {
+    const { headers, rows, skippedRows } = preProcessCSV([
+      'Name,Email,,,,',
+      'Nat Bahringer,nat.bahringer@0box.eu,1,2,3,4',
+      'Payton Barrows,payton.barrows15@0box.eu,1,2,3,4',
+      'Edyth Blanda,edyth.blanda31@0box.eu,1,2,3,4',
+    ].join('\n'));
+
+    assert.deepStrictEqual(headers, ['Name', 'Email', '', '', '', '']);
+    assert.strictEqual(rows.length, 3);
+    assert.strictEqual(skippedRows.length, 0);
+  });
+
+  it('Skips and reports preamble lines above a short file', function () {
+    const { headers, rows, skippedRows } = preProcessCSV([
+      'Survey Export',
+      'Exported on 2020-01-01',
+      '',
+      'Name,Email,Grade',
+      'Nat Bahringer,nat.bahringer@0box.eu,1',
+      'Payton Barrows,payton.barrows15@0box.eu,2',
+      'Edyth Blanda,edyth.blanda31@0box.eu,3',
+    ].join('\n'));
+
+    assert.deepStrictEqual(headers, ['Name', 'Email', 'Grade']);
+    assert.strictEqual(rows.length, 3);
+    assert.deepStrictEqual(
+      skippedRows.map(({ lineNumber, reason }) => {
+        return [lineNumber, reason];
+      }),
+      [[1, 'preamble'], [2, 'preamble']]
+    );
+  });
+
+  it('Keeps the first row as the header when a long row is just as common', function () {
+    const csv = 'Name,Email,Comment\nBo Wu,bo@x.edu,great, thanks\n';
+    const { headers, rows, skippedRows } = preProcessCSV(csv);
+
+    assert.deepStrictEqual(headers, ['Name', 'Email', 'Comment']);
+    assert.strictEqual(rows.length, 0);
+    assert.deepStrictEqual(
+      skippedRows.map(({ lineNumber, reason }) => {
+        return [lineNumber, reason];
+      }),
+      [[2, 'too-many-cells']]
+    );
+
+    const repaired = preProcessCSV(csv, {
+      raggedRows: 'repair',
+      mergeColumn: 'Comment',
+    });
+    assert.deepStrictEqual(repaired.rows, [['Bo Wu', 'bo@x.edu', 'great, thanks']]);
+  });
+});
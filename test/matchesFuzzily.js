@@ -0,0 +1,61 @@
+const assert = require('assert');
+
+const genSearchFunctions = require('../genSearchFunctions');
+const preProcessUsers = require('../preProcess/users');
+const genNormalize = require('../helpers/genNormalize');
+
+const normalize = genNormalize();
+
+// Two of these students are one letter apart, so typos of their names are
+// ambiguous
+const users = preProcessUsers(
+  [
+    ['Robert Jones', 'Jones, Robert'],
+    ['Jon Leeds', 'Leeds, Jon'],
+    ['Jan Leeds', 'Leeds, Jan'],
+    ['Priya Natarajan', 'Natarajan, Priya'],
+  ].map(([name, sortableName], i) => {
+    return {
+      name,
+      id: i + 1,
+      sortable_name: sortableName,
+    };
+  }),
+  normalize
+);
+const { getMatchDetails } = genSearchFunctions(users, {
+  normalize,
+  fuzzyMatching: true,
+});
+
+describe('Fuzzy Matching', function () {
+  it('Matches nicknames to formal names', function () {
+    const match = getMatchDetails('fullName', 'Bob Jones');
+
+    assert.strictEqual(match.user.canvasId, 1);
+    assert.strictEqual(match.reason, 'nickname');
+    assert.strictEqual(match.isFuzzy, true);
+  });
+
+  it('Matches typos when one user is a clear winner', function () {
+    const match = getMatchDetails('fullName', 'Priya Natarjan');
+
+    assert.strictEqual(match.user.canvasId, 4);
+    assert.strictEqual(match.reason, 'typo');
+    assert.strictEqual(match.distance, 1);
+  });
+
+  it('Leaves typos that are as close to two users unmatched', function () {
+    assert.strictEqual(getMatchDetails('fullName', 'Jin Leeds'), null);
+  });
+
+  it('Only matches typos and nicknames if fuzzy matching is on', function () {
+    const exactOnly = genSearchFunctions(users, { normalize });
+
+    assert.strictEqual(exactOnly.getMatchDetails('fullName', 'Bob Jones'), null);
+    assert.strictEqual(
+      exactOnly.getMatchDetails('fullName', 'Priya Natarjan'),
+      null
+    );
+  });
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const path = require('path');
+
+const matchCSV = require('..');
+const readRoster = require('../preProcess/roster');
+
+// Students from the test roster
+const { students } = readRoster(path.join(__dirname, 'files/roster.csv'));
+
+describe('Name Columns', function () {
+  it('Reports detection results for columns that form a name together', function () {
+    const rows = students.map(({ name }) => {
+      const words = name.split(' ');
+      return [words[0], words[words.length - 1], '9'];
+    });
+    const results = matchCSV({
+      students,
+      csv: {
+        rows,
+        headers: ['First Name', 'Last Name', 'Grade'],
+      },
+    });
+
+    assert.strictEqual(results.unmatchedRows.length, 0);
+    results.colTypes.slice(0, 2).forEach((colType) => {
+      assert.strictEqual(colType.type, 'student');
+      assert.strictEqual(colType.property, 'name');
+      assert.deepStrictEqual(colType.colIndices, [0, 1]);
+      assert.strictEqual(colType.score, 1);
+      assert.strictEqual(colType.numNonempty, students.length);
+      assert(colType.minToMatch > 0);
+      assert.deepStrictEqual(colType.candidates, [{
+        type: 'student',
+        property: 'name',
+        separator: null,
+        numMatching: students.length,
+        score: 1,
+      }]);
+      assert.strictEqual(colType.isUncertain, false);
+    });
+  });
+
+  it('Detects name columns that leave out middle names', function () {
+    const studentsWithMiddleNames = students.map((student) => {
+      const words = student.name.split(' ');
+      const first = words[0];
+      const last = words[words.length - 1];
+      return {
+        ...student,
+        name: `${first} Marie ${last}`,
+        sortable_name: `${last}, ${first} Marie`,
+      };
+    });
+    const results = matchCSV({
+      students: studentsWithMiddleNames,
+      csv: {
+        headers: ['Student', 'Grade'],
+        rows: students.map(({ name }) => {
+          return [name, '9'];
+        }),
+      },
+    });
+
+    assert.strictEqual(results.colTypes[0].type, 'student');
+    assert.strictEqual(results.colTypes[0].property, 'name');
+    assert.strictEqual(results.unmatchedRows.length, 0);
+  });
+});
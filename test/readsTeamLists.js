@@ -0,0 +1,81 @@
+const assert = require('assert');
+const path = require('path');
+
+const matchCSV = require('..');
+const readRoster = require('../preProcess/roster');
+
+// Students from the test roster, with login ids like Canvas gives them
+const { students } = readRoster(path.join(__dirname, 'files/roster.csv'));
+const studentsWithLogins = students.map((student) => {
+  return {
+    ...student,
+    login_id: student.email.split('@')[0],
+  };
+});
+
+/**
+ * Creates a CSV where each row lists a team of two students by email
+ * @return {object} the CSV in the form { headers, rows }
+ */
+const genTeamCSV = () => {
+  const rows = [];
+  for (let i = 0; i + 1 < students.length; i += 2) {
+    rows.push([`${students[i].email}; ${students[i + 1].email}`, '9']);
+  }
+  return {
+    headers: ['Team', 'Grade'],
+    rows,
+  };
+};
+
+describe('Canvas CSV Matcher', function () {
+  it('Reads lists of emails as teams when users have login ids', function () {
+    const results = matchCSV({
+      csv: genTeamCSV(),
+      students: studentsWithLogins,
+    });
+
+    assert.strictEqual(results.colTypes[0].type, 'student');
+    assert.strictEqual(results.colTypes[0].separator, ';');
+    assert.strictEqual(results.numStudentsPerRow, 2);
+    assert.strictEqual(results.unmatchedRows.length, 0);
+    results.matchedRows.forEach((matchedRow) => {
+      assert.strictEqual(matchedRow.students.length, 2);
+    });
+  });
+
+  it('Chooses the separator that resolves the most values', function () {
+    // Even if each list looks like the login id of its first email
+    const results = matchCSV({
+      csv: genTeamCSV(),
+      students: studentsWithLogins,
+      normalizers: {
+        'login-id': (value) => {
+          return (
+            value
+              .trim()
+              .toLowerCase()
+              .split('@')[0]
+          );
+        },
+      },
+    });
+
+    assert.strictEqual(results.colTypes[0].separator, ';');
+    assert.strictEqual(results.numStudentsPerRow, 2);
+    results.matchedRows.forEach((matchedRow) => {
+      assert.strictEqual(matchedRow.students.length, 2);
+    });
+  });
+
+  it('Leaves text that isn\'t a single email address out of login ids', function () {
+    const normalizeLoginId = matchCSV.DEFAULT_NORMALIZERS['login-id'];
+
+    assert.strictEqual(normalizeLoginId('JDoe+canvas@X.edu'), 'jdoe');
+    assert.strictEqual(
+      normalizeLoginId('Nat Bahringer <nat.bahringer@0box.eu>'),
+      'nat bahringer <nat.bahringer@0box.eu>'
+    );
+    assert.strictEqual(normalizeLoginId('foo bar@x'), 'foo bar@x');
+  });
+});
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const matchCSV = require('..');
+const readRoster = require('../preProcess/roster');
+
+// Students from the test roster
+const { students } = readRoster(path.join(__dirname, 'files/roster.csv'));
+
+// The student that the last row of the CSV describes
+const student = students[9];
+
+// The index of the row that doesn't match anyone
+const UNKNOWN_ROW_INDEX = 6;
+
+// A CSV where the last row lists a student by a nickname and personal email
+const csv = {
+  headers: ['Name', 'Email', 'Grade'],
+  rows: [
+    ...students.slice(0, UNKNOWN_ROW_INDEX).map(({ name, email }) => {
+      return [name, email, '5'];
+    }),
+    ['Natty Q', 'natty.q@gmail.com', '4'],
+  ],
+};
+
+/**
+ * Creates the path of an alias file in a new temporary folder
+ * @return {string} the path of the alias file (which doesn't exist yet)
+ */
+const genAliasFilename = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-matcher-'));
+  return path.join(dir, 'aliases.json');
+};
+
+/**
+ * Checks if the row that doesn't match anyone was matched to the student
+ * @param {object} results - the results to check
+ * @return {boolean} true if the row was matched to the student
+ */
+const isUnknownRowMatched = (results) => {
+  return results.matchedRows.some(({ rowIndex, students: matched }) => {
+    return (
+      rowIndex === UNKNOWN_ROW_INDEX
+      && matched.length === 1
+      && matched[0].id === student.id
+    );
+  });
+};
+
+describe('Aliases', function () {
+  it('Saves aliases and uses them after reloading the store', function () {
+    const aliasStore = genAliasFilename();
+    const results = matchCSV({
+      csv,
+      students,
+      aliasStore,
+      aliasScope: 'CS 50',
+    });
+    assert(!isUnknownRowMatched(results));
+
+    const { learnedAliases } = matchCSV.resolveRow(
+      results,
+      UNKNOWN_ROW_INDEX,
+      { students: [student] }
+    );
+    assert.deepStrictEqual(
+      learnedAliases.map(({ property, value, scope }) => {
+        return [property, value, scope];
+      }),
+      [
+        ['name', 'natty q', 'CS 50'],
+        ['email', 'natty.q@gmail.com', 'CS 50'],
+      ]
+    );
+    assert.strictEqual(
+      JSON.parse(fs.readFileSync(aliasStore, 'utf-8')).length,
+      2
+    );
+
+    const rerunResults = matchCSV({
+      csv,
+      students,
+      aliasStore,
+      aliasScope: 'CS 50',
+    });
+    assert(isUnknownRowMatched(rerunResults));
+  });
+
+  it('Only uses course aliases in runs with the same scope', function () {
+    let savedAliases = [];
+    const aliasStore = {
+      load: () => {
+        return savedAliases;
+      },
+      save: (aliases) => {
+        savedAliases = aliases;
+      },
+    };
+    const results = matchCSV({
+      csv,
+      students,
+      aliasStore,
+      aliasScope: 'CS 50',
+    });
+    matchCSV.resolveRow(results, UNKNOWN_ROW_INDEX, {
+      students: [student],
+      opts: { aliasStore },
+    });
+    assert.strictEqual(savedAliases.length, 2);
+
+    assert(isUnknownRowMatched(matchCSV({
+      csv,
+      students,
+      aliasStore,
+      aliasScope: 'CS 50',
+    })));
+    assert(!isUnknownRowMatched(matchCSV({
+      csv,
+      students,
+      aliasStore,
+      aliasScope: 'CS 51',
+    })));
+    assert(!isUnknownRowMatched(matchCSV({
+      csv,
+      students,
+      aliasStore,
+    })));
+  });
+
+  it('Doesn\'t save course aliases as global aliases when there is no scope', function () {
+    const aliasStore = genAliasFilename();
+    const results = matchCSV({
+      csv,
+      students,
+      aliasStore,
+    });
+
+    const { learnedAliases } = matchCSV.resolveRow(
+      results,
+      UNKNOWN_ROW_INDEX,
+      { students: [student] }
+    );
+    assert.deepStrictEqual(learnedAliases, []);
+    assert(!fs.existsSync(aliasStore));
+    assert.throws(
+      () => {
+        matchCSV.resolveRow(results, UNKNOWN_ROW_INDEX, {
+          students: [student],
+          rememberAliases: 'course',
+        });
+      },
+      /no aliasScope/
+    );
+
+    // Aliases are only global if asked for
+    matchCSV.resolveRow(results, UNKNOWN_ROW_INDEX, {
+      students: [student],
+      rememberAliases: 'global',
+    });
+    assert(isUnknownRowMatched(matchCSV({
+      csv,
+      students,
+      aliasStore,
+      aliasScope: 'CS 51',
+    })));
+  });
+});
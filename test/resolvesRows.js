@@ -0,0 +1,84 @@
+const assert = require('assert');
+
+const matchCSV = require('..');
+
+// A small class where "R. Jones" can only be Robert Jones
+const students = [
+  ['Jane Smith', 'Smith, Jane'],
+  ['Robert Jones', 'Jones, Robert'],
+  ['Ann Lee', 'Lee, Ann'],
+  ['Bo Wu', 'Wu, Bo'],
+].map(([name, sortableName], i) => {
+  return {
+    name,
+    id: i + 1,
+    sortable_name: sortableName,
+  };
+});
+const [jane, robert] = students;
+
+/**
+ * Matches a CSV where Jane Smith is listed twice and Robert Jones is only
+ *   listed by his last name
+ * @return {object} the results
+ */
+const genResults = () => {
+  return matchCSV({
+    csv: {
+      headers: ['Name', 'Grade'],
+      rows: [
+        ['Jane Smith', '91'],
+        ['R. Jones', '92'],
+        ['Ann Lee', '93'],
+        ['Bo Wu', '94'],
+        ['Jane Smith', '95'],
+      ],
+    },
+    students,
+    studentOnlyOnce: true,
+  });
+};
+
+/**
+ * Lists the names of the potential students of an unmatched row
+ * @param {object} results - the results to look in
+ * @param {number} rowIndex - the index of the row
+ * @return {string[]} the names of the potential students
+ */
+const listPotentialNames = (results, rowIndex) => {
+  const unmatchedRow = results.unmatchedRows.find((row) => {
+    return (row.rowIndex === rowIndex);
+  });
+  return unmatchedRow.potentialStudents.map(({ user }) => {
+    return user.name;
+  });
+};
+
+describe('Manual Resolution', function () {
+  it('Resolves rows in results that were saved as JSON', function () {
+    const results = JSON.parse(JSON.stringify(genResults()));
+    const updatedResults = matchCSV.resolveRow(results, 4, {
+      students: [robert],
+    });
+
+    assert.deepStrictEqual(
+      updatedResults.unmatchedRows.map(({ rowIndex }) => {
+        return rowIndex;
+      }),
+      [1]
+    );
+    assert.deepStrictEqual(listPotentialNames(updatedResults, 1), []);
+  });
+
+  it('Lists freed up users as potential users of unmatched rows again', function () {
+    const results = matchCSV.resolveRow(genResults(), 4, {
+      students: [robert],
+    });
+    const updatedResults = matchCSV.resolveRow(results, 4, {
+      students: [jane],
+    });
+
+    assert.strictEqual(listPotentialNames(updatedResults, 1)[0], 'Robert Jones');
+    assert.strictEqual(listPotentialNames(updatedResults, 0)[0], 'Jane Smith');
+  });
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const path = require('path');
+
+const matchCSV = require('..');
+const readRoster = require('../preProcess/roster');
+
+// Students from the test roster
+const { students } = readRoster(path.join(__dirname, 'files/roster.csv'));
+
+// A CSV with a name column and a contact column where most students gave an
+// address that isn't in Canvas
+const csv = {
+  headers: ['Name', 'Contact', 'Grade'],
+  rows: students.map(({ name, email }, i) => {
+    return [
+      name,
+      (i < 5 ? email : `student${i}@gmail.com`),
+      '10',
+    ];
+  }),
+};
+
+describe('Column Hints', function () {
+  it('Pins a column that wouldn\'t be detected', function () {
+    const detected = matchCSV({ students, csv });
+    assert.strictEqual(detected.colTypes[1].type, 'data');
+
+    const results = matchCSV({
+      students,
+      csv,
+      columnHints: [{
+        column: 'Contact',
+        type: 'student',
+        property: 'email',
+      }],
+    });
+
+    assert.strictEqual(results.colTypes[1].type, 'student');
+    assert.strictEqual(results.colTypes[1].property, 'email');
+    assert.strictEqual(results.colTypes[1].source, 'pinned');
+    assert.strictEqual(results.colTypes[0].source, 'detected');
+    assert(!results.dataHeaders.includes('Contact'));
+  });
+
+  it('Excludes a column from matching and from the data columns', function () {
+    const results = matchCSV({
+      students,
+      csv,
+      columnHints: [{
+        column: 0,
+        type: 'excluded',
+      }],
+    });
+
+    assert.strictEqual(results.colTypes[0].type, 'excluded');
+    assert.strictEqual(results.colTypes[0].source, 'pinned');
+    assert(!results.dataHeaders.includes('Name'));
+    assert.strictEqual(results.matchedRows.length, 0);
+  });
+
+  it('Throws an error for a hint about a header that doesn\'t exist', function () {
+    assert.throws(
+      () => {
+        matchCSV({
+          students,
+          csv,
+          columnHints: [{
+            column: 'Email',
+            type: 'student',
+            property: 'email',
+          }],
+        });
+      },
+      /"Email" but that column could not be found/
+    );
+  });
+});